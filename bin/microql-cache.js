@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview List, inspect and purge cached service results
+ *
+ *   microql-cache list [service[:action]]
+ *   microql-cache inspect <key>
+ *   microql-cache purge <service[:action]> [--args '{"id": 1}']
+ *   microql-cache purge --all
+ *
+ * Entries are read from the file store in `--dir` (default `.cache`).
+ */
+
+import {parseArgs} from 'node:util'
+import Cache from '../cache.js'
+import {FileStore} from '../stores.js'
+
+const USAGE = `Usage:
+  microql-cache list [service[:action]] [--dir .cache]
+  microql-cache inspect <key> [--dir .cache]
+  microql-cache purge <service[:action]> [--args <json>] [--dir .cache]
+  microql-cache purge --all [--dir .cache]`
+
+const parseTarget = (target = '') => {
+  const [serviceName, action] = target.split(':')
+  return {serviceName: serviceName || undefined, action}
+}
+
+const commands = {
+  async list(dir, [target]) {
+    const {serviceName, action} = parseTarget(target)
+    const prefix = !serviceName ? '' : action ? `${serviceName}-${action}/` : `${serviceName}-`
+    const store = new FileStore({baseDir: dir})
+
+    const entries = (await store.list()).filter(({key}) => key.startsWith(prefix))
+    for (const {key, accessed} of entries.sort((a, b) => a.key.localeCompare(b.key))) {
+      console.log(`${key}\t${new Date(accessed).toISOString()}`)
+    }
+  },
+
+  async inspect(dir, [key]) {
+    if (!key) throw new Error('inspect requires a key, as printed by `microql-cache list`')
+    const entry = await new FileStore({baseDir: dir}).get(key)
+    if (entry === undefined) throw new Error(`No cache entry for key: ${key}`)
+    console.log(entry)
+  },
+
+  async purge(dir, [target], {all, args}) {
+    if (!target && !all) throw new Error('purge requires a service[:action], or --all')
+    // only delete what was asked for, not the entries a query's cache would clean up
+    const cache = new Cache({configDir: dir, cleanup: false})
+    const deleted = all ?
+      await cache.clear() :
+      await cache.invalidate({...parseTarget(target), args: args && JSON.parse(args)})
+    console.log(`Deleted ${deleted} cache entries`)
+  }
+}
+
+const main = async () => {
+  const {values, positionals} = parseArgs({
+    allowPositionals: true,
+    options: {
+      dir: {type: 'string', default: '.cache'},
+      args: {type: 'string'},
+      all: {type: 'boolean', default: false},
+      help: {type: 'boolean', short: 'h', default: false}
+    }
+  })
+  const [command, ...rest] = positionals
+
+  if (values.help || !commands[command]) {
+    console.log(USAGE)
+    process.exitCode = values.help ? 0 : 1
+    return
+  }
+  await commands[command](values.dir, rest, values)
+}
+
+main().catch(error => {
+  console.error(error.message)
+  process.exitCode = 1
+})
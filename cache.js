@@ -1,57 +1,145 @@
 import {createHash} from 'crypto'
-import {readFile, writeFile, utimes, mkdir, readdir, stat, unlink} from 'fs/promises'
-import {existsSync} from 'fs'
-import path from 'path'
-
-const parseTimeUnit = (timeStr) => {
-  const match = timeStr.match(/^(\d+)([smhDM])$/)
-  if (!match) throw new Error(`Invalid time format: ${timeStr}`)
-  const [, amount, unit] = match
-  const multipliers = {s: 1000, m: 60000, h: 3600000, D: 86400000, M: 2592000000}
-  return parseInt(amount) * multipliers[unit]
-}
+import _ from 'lodash'
+import {parseTimeUnit} from './common.js'
+import {createStore} from './stores.js'
+import taggedJSON, {canonical} from './codec.js'
+
+// Bump when the key format changes, so entries written by older versions are not read
+const KEY_FORMAT_VERSION = 2
+
+// Policy durations are ms or time strings like '10m'
+const toMs = (duration) => typeof duration === 'string' ? parseTimeUnit(duration) : duration
 
 export default class Cache {
   constructor(cacheConfig = {}) {
-    this.baseDir = cacheConfig.configDir || cacheConfig.baseDir || '.cache'
+    // the store is created on first use, so compiling a query (e.g. for query.explain)
+    // doesn't create the cache directory or start cleaning it up
+    this.cacheConfig = cacheConfig
+    this.codec = cacheConfig.codec || taggedJSON
+    this.hash = cacheConfig.hash || 'md5'
     this.invalidateAfter = cacheConfig.invalidateAfter
+
+    // the memory cache is a Map in least recently used order, bounded by entry count and serialized size
     this.memoryCache = new Map()
+    this.maxEntries = cacheConfig.maxEntries ?? 1000
+    this.maxBytes = cacheConfig.maxBytes ?? Infinity
+    this.stats = {hits: 0, misses: 0, evictions: 0, diskReads: 0, entries: 0, bytes: 0}
+
     this.pendingPromises = new Map()
-    if (!existsSync(this.baseDir)) mkdir(this.baseDir, {recursive: true}).catch(() => {})
-    this.cleanupByModifiedTime().catch(() => {})
+    this.revalidating = new Set()
+  }
+
+  // entries unused for a week are deleted when the store is first used, unless `cleanup: false`
+  get store() {
+    if (!this._store) {
+      this._store = createStore(this.cacheConfig)
+      if (this.cacheConfig.cleanup !== false) this.cleanupByModifiedTime().catch(() => {})
+    }
+    return this._store
   }
 
   generateKey(serviceName, action, args) {
-    return createHash('md5').update(JSON.stringify({serviceName, action, args}, null, 0)).digest('hex')
+    const keyData = JSON.stringify({version: KEY_FORMAT_VERSION, serviceName, action, args: canonical(args)})
+    return createHash(this.hash).update(keyData).digest('hex')
+  }
+
+  // Keys group entries by service and action, in memory and in the store
+  storeKey(serviceName, action, key) {
+    return `${serviceName}-${action}/${key}`
+  }
+
+  // Get a memory cache entry, marking it as most recently used
+  memoryGet(key) {
+    const entry = this.memoryCache.get(key)
+    if (entry) {
+      this.memoryCache.delete(key)
+      this.memoryCache.set(key, entry)
+    }
+    return entry
   }
 
-  async getOrCompute(serviceName, action, args, computeFn) {
-    const key = this.generateKey(serviceName, action, args)
+  // Add a memory cache entry, evicting least recently used entries beyond maxEntries or maxBytes
+  memorySet(key, entry, size) {
+    this.memoryDelete(key)
+    if (size > this.maxBytes) return
+
+    this.memoryCache.set(key, {...entry, size})
+    this.stats.bytes += size
+    while (this.memoryCache.size > this.maxEntries || this.stats.bytes > this.maxBytes) {
+      this.memoryDelete(this.memoryCache.keys().next().value)
+      this.stats.evictions++
+    }
+    this.stats.entries = this.memoryCache.size
+  }
+
+  memoryDelete(key) {
+    const entry = this.memoryCache.get(key)
+    if (!entry) return
+    this.memoryCache.delete(key)
+    this.stats.bytes -= entry.size
+    this.stats.entries = this.memoryCache.size
+  }
+
+  /**
+   * Return the cached result for a service call, or compute and cache it.
+   * The policy comes from the call's `cache` arg and settings.cache.policies:
+   *   ttl (or invalidateAfter): how long an entry is fresh, forever if unset
+   *   staleWhileRevalidate: how long after ttl a stale entry is still returned, while it is refreshed
+   *   key: arg paths to key on, instead of all args
+   *   scope: 'memory' keeps entries in this process only, 'disk' (default) also writes them to the store
+   */
+  async getOrCompute(serviceName, action, args, computeFn, policy = {}) {
+    const ttl = toMs(policy.ttl ?? policy.invalidateAfter)
+    const staleWhileRevalidate = toMs(policy.staleWhileRevalidate) || 0
+    const persist = policy.scope !== 'memory'
+    const key = this.storeKey(serviceName, action, this.generateKey(serviceName, action, policy.key ? _.pick(args, policy.key) : args))
+    const age = (entry) => Date.now() - new Date(entry.created).getTime()
 
     // check memory cache and pending promises
-    if (this.memoryCache.has(key)) return this.memoryCache.get(key)
-    if (this.pendingPromises.has(key)) return await this.pendingPromises.get(key)
+    const memoryEntry = this.memoryGet(key)
+    if (memoryEntry && !(ttl && age(memoryEntry) >= ttl)) {
+      this.stats.hits++
+      return memoryEntry.result
+    }
+    if (this.pendingPromises.has(key)) {
+      this.stats.hits++
+      return await this.pendingPromises.get(key)
+    }
 
     const computePromise = (async () => {
-      const dir = path.join(this.baseDir, `${serviceName}-${action}`)
-      const file = path.join(dir, `${key}.json`)
-
-      // check disk cache
       try {
-        const cached = JSON.parse(await readFile(file, 'utf8'))
-        this.memoryCache.set(key, cached.result)
-        utimes(file, new Date(), new Date()).catch(() => {})
-        return cached.result
+        let entry = memoryEntry
 
-      // run the service normally and cache it
-      } catch {
-        const result = await computeFn()
-        this.memoryCache.set(key, result)
+        // check the store (missing or unreadable entries are recomputed)
+        if (!entry && persist) {
+          try {
+            this.stats.diskReads++
+            const stored = await this.store.get(key)
+            entry = this.codec.parse(stored)
+            this.memorySet(key, entry, Buffer.byteLength(stored))
+            this.store.touch(key).catch(() => {})
+          } catch {
+            entry = undefined
+          }
+        }
+
+        if (entry) {
+          if (!ttl || age(entry) < ttl) {
+            this.stats.hits++
+            return entry.result
+          }
 
-        if (!existsSync(dir)) await mkdir(dir, {recursive: true})
-        await writeFile(file, JSON.stringify({created: new Date().toISOString(), result}, null, 2))
+          // serve the stale entry and refresh it in the background
+          if (age(entry) < ttl + staleWhileRevalidate) {
+            this.stats.hits++
+            this.revalidate(key, () => this.compute(key, persist, computeFn))
+            return entry.result
+          }
+        }
 
-        return result
+        // run the service normally and cache it
+        this.stats.misses++
+        return await this.compute(key, persist, computeFn)
       } finally {
         this.pendingPromises.delete(key)
 
@@ -69,38 +157,85 @@ export default class Cache {
     return await computePromise
   }
 
+  async compute(key, persist, computeFn) {
+    const result = await computeFn()
+    const entry = {created: new Date().toISOString(), result}
+    const serialized = this.codec.stringify(entry, null, 2)
+    this.memorySet(key, entry, Buffer.byteLength(serialized))
+    if (persist) await this.store.set(key, serialized)
+    return result
+  }
+
+  // Refresh a stale entry after the stale result has been returned (so the call is
+  // reported as a cache hit).  Failures are ignored: the stale entry is served until it expires
+  revalidate(key, refresh) {
+    if (this.revalidating.has(key)) return
+    this.revalidating.add(key)
+    setTimeout(() => {
+      refresh().catch(() => {}).finally(() => this.revalidating.delete(key))
+    }, 0)
+  }
+
+  /**
+   * Delete cached results for every action of a service, for one action, or for
+   * one call's args (the args the entry is keyed on).  Returns the number of
+   * entries deleted from the store
+   */
+  async invalidate({serviceName, action, args} = {}) {
+    if (!serviceName) throw new Error('Cache invalidation requires a serviceName')
+    if (args !== undefined && !action) throw new Error('Cache invalidation by args requires an action')
+
+    if (args !== undefined) {
+      const key = this.storeKey(serviceName, action, this.generateKey(serviceName, action, args))
+      return this.deleteMatching(entryKey => entryKey === key)
+    }
+    const prefix = action ? `${serviceName}-${action}/` : `${serviceName}-`
+    return this.deleteMatching(entryKey => entryKey.startsWith(prefix))
+  }
+
+  // Delete every cached result, returning the number of entries deleted from the store
+  async clear() {
+    return this.deleteMatching(() => true)
+  }
+
+  async deleteMatching(matches) {
+    for (const key of Array.from(this.memoryCache.keys())) {
+      if (matches(key)) this.memoryDelete(key)
+    }
+
+    let deleted = 0
+    for (const {key} of await this.store.list()) {
+      if (matches(key)) {
+        await this.store.delete(key)
+        deleted++
+      }
+    }
+    return deleted
+  }
+
   async cleanupExpired(invalidateAfter) {
     if (!invalidateAfter) return
     const cutoff = Date.now() - parseTimeUnit(invalidateAfter)
-    await this.cleanup(async (filePath) => {
-      const cached = JSON.parse(await readFile(filePath, 'utf8'))
+    await this.cleanup(async ({key}) => {
+      const cached = this.codec.parse(await this.store.get(key))
       return new Date(cached.created).getTime() < cutoff
     })
   }
 
   async cleanupByModifiedTime() {
     const oneWeekAgo = Date.now() - 604800000
-    await this.cleanup(async (filePath) => {
-      const fileStat = await stat(filePath)
-      return fileStat.mtime.getTime() < oneWeekAgo
-    })
+    await this.cleanup(async ({accessed}) => accessed !== undefined && accessed < oneWeekAgo)
   }
 
+  // Delete every stored entry for which shouldDelete({key, accessed}) is true,
+  // or which can't be read
   async cleanup(shouldDelete) {
     try {
-      const serviceDirs = await readdir(this.baseDir)
-      for (const serviceDir of serviceDirs) {
-        const fullServiceDir = path.join(this.baseDir, serviceDir)
-        if (!(await stat(fullServiceDir)).isDirectory()) continue
-
-        const files = await readdir(fullServiceDir)
-        for (const file of files.filter(f => f.endsWith('.json'))) {
-          const filePath = path.join(fullServiceDir, file)
-          try {
-            if (await shouldDelete(filePath)) await unlink(filePath)
-          } catch {
-            await unlink(filePath)
-          }
+      for (const entry of await this.store.list()) {
+        try {
+          if (await shouldDelete(entry)) await this.store.delete(entry.key)
+        } catch {
+          await this.store.delete(entry.key)
         }
       }
     } catch {
@@ -0,0 +1,60 @@
+import {parseTimeUnit} from './common.js'
+
+// Thrown instead of calling a service while its circuit is open
+export class CircuitOpenError extends Error {
+  constructor(serviceName, retryAt) {
+    super(`Circuit open for service '${serviceName}', failing fast until ${new Date(retryAt).toISOString()}`)
+    this.name = 'CircuitOpenError'
+    this.code = 'ECIRCUITOPEN'
+    this.serviceName = serviceName
+    this.retryAt = retryAt
+  }
+}
+
+// Stops calling a service after repeated failures:
+//   - closed: calls go through, consecutive failures are counted
+//   - open: calls fail fast with CircuitOpenError until resetAfter has passed
+//   - half-open: a single trial call goes through, closing the circuit on success
+export default class CircuitBreaker {
+  constructor(serviceName, {failureThreshold = 5, resetAfter = 30000} = {}) {
+    this.serviceName = serviceName
+    this.failureThreshold = failureThreshold
+    this.resetAfter = typeof resetAfter === 'string' ? parseTimeUnit(resetAfter) : resetAfter
+    this.state = 'closed'
+    this.failures = 0
+    this.openedAt = undefined
+  }
+
+  // signal is the caller's, so a call it aborted isn't counted against the service
+  async call(fn, signal) {
+    if (this.state === 'open') {
+      const retryAt = this.openedAt + this.resetAfter
+      if (Date.now() < retryAt) throw new CircuitOpenError(this.serviceName, retryAt)
+      this.state = 'half-open'
+
+    // only one trial call at a time while half-open
+    } else if (this.state === 'half-open') {
+      throw new CircuitOpenError(this.serviceName, Date.now())
+    }
+
+    try {
+      const result = await fn()
+      this.state = 'closed'
+      this.failures = 0
+      return result
+    } catch (error) {
+      // aborted by the caller, or because another query failed: this says nothing about the service
+      if (signal?.aborted && error === signal.reason) {
+        if (this.state === 'half-open') this.state = 'open'
+        throw error
+      }
+
+      this.failures++
+      if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+        this.state = 'open'
+        this.openedAt = Date.now()
+      }
+      throw error
+    }
+  }
+}
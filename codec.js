@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Tagged JSON serialization
+ *
+ * JSON turns Dates into strings and drops the contents of Maps, Sets, Buffers
+ * and Errors.  The tagged codec writes these as `{$type, value}` objects and
+ * restores them on parse, so cached and snapshotted results keep their types.
+ *
+ * A codec has the same interface as the JSON global:
+ *
+ *   codec.stringify(value, replacer, space) => string
+ *   codec.parse(text) => value
+ *
+ * so `settings.codec: JSON` restores plain JSON serialization.
+ *
+ * `canonical` builds the order independent form of a value which cache keys
+ * and snapshot versions are hashed from.
+ */
+
+import _ from 'lodash'
+
+const TAG = '$type'
+
+const isTagged = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && Object.hasOwn(value, TAG)
+
+const encodeError = (error) => {
+  // keep extra properties such as code, status or serviceName
+  const props = Object.fromEntries(Object.entries(error).map(([key, value]) => [key, encode(value)]))
+  return {name: error.name, message: error.message, stack: error.stack, ...props}
+}
+
+const decodeError = ({name, message, stack, ...props}) => {
+  // restore built in error types, other error classes become Errors with their name
+  const ErrorType = globalThis[name]?.prototype instanceof Error ? globalThis[name] : Error
+  const error = new ErrorType(message)
+  error.name = name
+  error.stack = stack
+  return Object.assign(error, decodeValue(props))
+}
+
+// Convert a value into a JSON safe tree, tagging types which JSON would lose
+function encode(value) {
+  if (typeof value === 'bigint') return {[TAG]: 'BigInt', value: value.toString()}
+  if (value === null || typeof value !== 'object') return value
+
+  if (value instanceof Date) return {[TAG]: 'Date', value: isNaN(value) ? null : value.toISOString()}
+  if (Buffer.isBuffer(value)) return {[TAG]: 'Buffer', value: value.toString('base64')}
+  if (value instanceof Map) return {[TAG]: 'Map', value: Array.from(value, ([k, v]) => [encode(k), encode(v)])}
+  if (value instanceof Set) return {[TAG]: 'Set', value: Array.from(value, encode)}
+  if (value instanceof Error) return {[TAG]: 'Error', value: encodeError(value)}
+  if (Array.isArray(value)) return value.map(encode)
+  if (typeof value.toJSON === 'function') return encode(value.toJSON())
+
+  const encoded = Object.fromEntries(Object.entries(value).map(([key, v]) => [key, encode(v)]))
+
+  // escape plain objects which happen to use the tag key
+  return isTagged(value) ? {[TAG]: 'Object', value: encoded} : encoded
+}
+
+const decoders = {
+  BigInt: (value) => BigInt(value),
+  Date: (value) => new Date(value ?? NaN),
+  Buffer: (value) => Buffer.from(value, 'base64'),
+  Map: (value) => new Map(value.map(([k, v]) => [decodeValue(k), decodeValue(v)])),
+  Set: (value) => new Set(value.map(decodeValue)),
+  Error: decodeError,
+  Object: (value) => decodeObject(value)
+}
+
+const decodeObject = (value) =>
+  Object.fromEntries(Object.entries(value).map(([key, v]) => [key, decodeValue(v)]))
+
+// Restore tagged values in a parsed JSON tree
+function decodeValue(value) {
+  if (value === null || typeof value !== 'object') return value
+  if (Array.isArray(value)) return value.map(decodeValue)
+  if (isTagged(value) && decoders[value[TAG]]) return decoders[value[TAG]](value.value)
+  return decodeObject(value)
+}
+
+const rejectFunction = (fn) => {
+  throw new Error(`Cannot generate a key for function '${fn.name || 'anonymous'}'. Use a service descriptor, or leave it out of the key`)
+}
+
+// Plain objects with keys like tags are wrapped, so they can't be mistaken for tagged values
+const TAG_LIKE_KEY = /^\$/
+
+/**
+ * Convert a value into a canonical JSON tree for hashing, so equal values always
+ * produce the same hash:
+ *   - object keys, Set values and Map entries are sorted
+ *   - undefined properties are dropped, as if they were never set
+ *   - Dates, Buffers, BigInts, non-finite numbers and Errors are tagged
+ *   - compiled services are keyed by their descriptor, other functions are passed
+ *     to onFunction, which throws by default
+ */
+function canonical(value, onFunction = rejectFunction) {
+  if (value === undefined) return {$undefined: true}
+  if (typeof value === 'bigint') return {$bigint: value.toString()}
+  if (typeof value === 'number') return Number.isFinite(value) ? value : {$number: String(value)}
+  if (typeof value === 'function') {
+    if (value.descriptor !== undefined) return {$service: canonical(value.descriptor, onFunction)}
+    return onFunction(value)
+  }
+  if (value === null || typeof value !== 'object') return value
+
+  const sorted = (items) => _.sortBy(items, item => JSON.stringify(item))
+
+  if (value instanceof Date) return {$date: isNaN(value) ? null : value.toISOString()}
+  if (Buffer.isBuffer(value)) return {$buffer: value.toString('base64')}
+  if (value instanceof Error) return {$error: {name: value.name, message: value.message}}
+  if (value instanceof Set) return {$set: sorted(Array.from(value, v => canonical(v, onFunction)))}
+  if (value instanceof Map) return {$map: sorted(Array.from(value, ([k, v]) => [canonical(k, onFunction), canonical(v, onFunction)]))}
+  if (Array.isArray(value)) return value.map(v => canonical(v, onFunction))
+
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort()
+  const object = Object.fromEntries(keys.map(key => [key, canonical(value[key], onFunction)]))
+  return keys.some(key => TAG_LIKE_KEY.test(key)) ? {$object: object} : object
+}
+
+export const taggedJSON = {
+  stringify: (value, replacer, space) => JSON.stringify(encode(value), replacer, space),
+  parse: (text) => decodeValue(JSON.parse(text))
+}
+
+export {encode, decodeValue as decode, canonical}
+
+export default taggedJSON
@@ -14,6 +14,8 @@ const ANSI_COLORS = {
 const COLOR_NAMES = Object.keys(ANSI_COLORS).filter(c => !['red', 'reset'].includes(c))
 
 const DEP_REGEX = /\$\.(\w+)/
+// ${...} interpolates a $ or @ reference into a string, e.g. 'profile_${$.customer.id}'
+const TEMPLATE_REGEX = /\$\{\s*([$@][^}]*?)\s*\}/g
 const SERVICE_REGEX = /^(\w+):(\w+)$/
 const AT_REGEX = /^(@+)((\.)(.*))?$/
 const BARE_DOLLAR_REGEX = /^\$$/
@@ -36,6 +38,15 @@ const getServiceColorName = (serviceName) => {
   return serviceColors.get(serviceName)
 }
 
+// Parse durations like '30s', '10m', '1h', '7D' or '1M' into milliseconds
+const parseTimeUnit = (timeStr) => {
+  const match = timeStr.match(/^(\d+)([smhDM])$/)
+  if (!match) throw new Error(`Invalid time format: ${timeStr}`)
+  const [, amount, unit] = match
+  const multipliers = {s: 1000, m: 60000, h: 3600000, D: 86400000, M: 2592000000}
+  return parseInt(amount) * multipliers[unit]
+}
+
 const RESERVE_ARGS = ['timeout', 'retry', 'onError', 'ignoreErrors', 'precheck', 'postcheck', 'debug', 'cache']
 
-export {ANSI_COLORS, DEP_REGEX, SERVICE_REGEX, AT_REGEX, BARE_DOLLAR_REGEX, getServiceColor, getServiceColorName, RESERVE_ARGS}
+export {ANSI_COLORS, DEP_REGEX, TEMPLATE_REGEX, SERVICE_REGEX, AT_REGEX, BARE_DOLLAR_REGEX, getServiceColor, getServiceColorName, parseTimeUnit, RESERVE_ARGS}
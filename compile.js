@@ -9,12 +9,42 @@ import _ from 'lodash'
 import lodashDeep from 'lodash-deep'
 _.mixin(lodashDeep)
 
-import {DEP_REGEX, SERVICE_REGEX, RESERVE_ARGS} from './common.js'
+import {DEP_REGEX, TEMPLATE_REGEX, SERVICE_REGEX, RESERVE_ARGS} from './common.js'
 import applyWrappers from './wrappers.js'
 import {parseSchema} from './validation.js'
 import util from './services/util.js'
 import RateLimitedQueue from './ratelimit.js'
 import Cache from './cache.js'
+import CircuitBreaker from './circuitbreaker.js'
+import {findReferenceIssues} from './references.js'
+import {isMultiPath, parsePath} from './path.js'
+
+// Thrown by compile() with every problem found in the queries, rather than only the first
+export class CompileError extends Error {
+  constructor(issues) {
+    const lines = issues.map(({path, message}) => `${path}: ${message}`)
+    super(issues.length === 1 ? lines[0] : `Found ${issues.length} problems in the queries:\n${lines.join('\n')}`)
+    this.name = 'CompileError'
+    this.issues = issues
+  }
+}
+
+// Paths into the config use dots for names and brackets for indexes, e.g. queries.report[2][2].service[1]
+const childPath = (path, key) => {
+  if (typeof key === 'number') return `${path}[${key}]`
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`
+}
+
+// Run one compile step, recording its error as an issue at path instead of throwing,
+// so that compilation carries on and reports every problem at once
+const collectIssue = (config, path, fn, fallback) => {
+  try {
+    return fn()
+  } catch (error) {
+    config.issues.push({path, message: error.message})
+    return fallback
+  }
+}
 
 // Detects if a descriptor is a chain (nested arrays)
 const isChain = (descriptor) => {
@@ -31,8 +61,19 @@ const hasMethodSyntax = (descriptor) => {
          SERVICE_REGEX.test(descriptor[1])
 }
 
+// Detects if a value is a service descriptor or chain, rather than plain data
+const isServiceDescriptor = (value) => {
+  return isChain(value) ||
+    hasMethodSyntax(value) ||
+    (Array.isArray(value) && typeof value[0] === 'string' && SERVICE_REGEX.test(value[0]))
+}
+
 // Transforms method syntax ['target', 'service:action', args] to standard service call ['service:action', {on: target, ...args}]
 const parseServiceDescriptor = (descriptor) => {
+  if (!Array.isArray(descriptor)) {
+    throw new Error(`Invalid service descriptor. Expected ['service:action', {...}] format. Got: ${JSON.stringify(descriptor)}`)
+  }
+
   // check for method descriptor
   if (hasMethodSyntax(descriptor)) {
     const [arg0, serviceMethod, args = {}] = descriptor
@@ -51,16 +92,42 @@ const parseServiceDescriptor = (descriptor) => {
   }
 }
 
-// Extracts dependencies from query arguments
+// The references in a string: the whole string, or each reference in a '${...}' template
+const stringReferences = (value) =>
+  value.includes('${') ? Array.from(value.matchAll(TEMPLATE_REGEX), m => m[1]) : [value]
+
+// Extracts dependencies from query arguments: '$.query.path' references, and
+// every reference interpolated into a '${$.query.path}' template.  Like resolveValue,
+// only strings starting with '$.' are references, so 'profile_$.customer.id' is plain text
 const getDeps = (args) => {
   const deps = new Set()
   _.deepMapValues(args, (value) => {
-    let m = (typeof value === 'string') && value.match(DEP_REGEX)
-    if (m) deps.add(m[1])
+    if (typeof value !== 'string') return
+    for (const reference of stringReferences(value)) {
+      const m = reference.startsWith('$.') && reference.match(DEP_REGEX)
+      if (m) deps.add(m[1])
+    }
   })
   return deps
 }
 
+// Check the syntax of paths with wildcards, slices, descent or filters, so mistakes
+// are reported with the other compile errors rather than when the query runs
+const checkPaths = (value, path, config) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => checkPaths(item, childPath(path, i), config))
+  } else if (_.isPlainObject(value)) {
+    for (const [key, item] of Object.entries(value)) checkPaths(item, childPath(path, key), config)
+  } else if (typeof value === 'string') {
+    for (const reference of stringReferences(value)) {
+      const referencePath = reference.match(/^(?:\$|@+)\.(.*)$/)?.[1]
+      if (referencePath !== undefined && isMultiPath(referencePath)) {
+        collectIssue(config, path, () => parsePath(referencePath))
+      }
+    }
+  }
+}
+
 function parseSchemaWithErrorContext(designation, order, schema) {
   try {
     return parseSchema(schema)
@@ -71,7 +138,8 @@ function parseSchemaWithErrorContext(designation, order, schema) {
 }
 
 // weave the schema compilation with proper context for error reporting
-const compileValidators = (args, validators) => {
+// a query's own schemas are reported at their precheck/postcheck arg, the service's at the call
+const compileValidators = (args, validators, config, path, argsPath) => {
   const order = {
     precheck: {query: args.precheck, service: validators.precheck},
     postcheck: {service: validators.postcheck, query: args.postcheck}
@@ -81,29 +149,61 @@ const compileValidators = (args, validators) => {
     for (const d in order[o])
       if (order[o][d]) {
         hasValidators = true
-        order[o][d] = parseSchemaWithErrorContext(d, o, order[o][d])
+        const schemaPath = d === 'query' ? childPath(argsPath, o) : path
+        order[o][d] = collectIssue(config, schemaPath, () => parseSchemaWithErrorContext(d, o, order[o][d]))
       }
   }
   return hasValidators ? order : undefined
 }
 
+// cache policies are merged from settings.cache.policies for the service, then for
+// the action, then the call's own `cache` arg.  `cache: false` on a call disables caching
+const compileCachePolicy = (serviceName, action, callPolicy, config) => {
+  if (callPolicy === false) return undefined
+  const policies = config.settings?.cache?.policies || {}
+  const layers = [policies[serviceName], policies[`${serviceName}:${action}`], callPolicy].filter(Boolean)
+  if (layers.length === 0) return undefined
+
+  const policy = Object.assign({}, ...layers.map(layer => layer === true ? {} : layer))
+  if (policy.scope && !['memory', 'disk'].includes(policy.scope)) {
+    throw new Error(`Invalid cache scope '${policy.scope}'. Expected 'memory' or 'disk'`)
+  }
+  return policy
+}
+
 // settings are merged from query level settings and service level settings
 // they are placed in their own `settings` key on the compiled service definition
-const compileSettings = (queryName, serviceName, args, argtypes, config) => {
+const compileSettings = (queryName, serviceName, action, args, argtypes, config, path, argsPath) => {
   const reserveArgs = _.pick(args, RESERVE_ARGS)
   // get args with their argtypes set to 'settings'
   const settingsArgs = _.pickBy(args, (a, k) => argtypes[k]?.type === 'settings')
 
+  // where a merged setting was written, for the paths of compile errors
+  const settingPath = (key) => {
+    if (reserveArgs[key] !== undefined) return childPath(argsPath, key)
+    const argName = _.findKey(settingsArgs, value => value?.[key] !== undefined)
+    return argName ? childPath(childPath(argsPath, argName), key) : childPath('settings', key)
+  }
+
   // exclude some global settings from being merged with the service
+  // (the codec reaches services through the {type: 'codec'} argtype instead)
   const globalSettings = config.settings ?
-    _.omit(config.settings, ['onError', 'ignoreErrors', 'cache']) : {}
+    _.omit(config.settings, ['onError', 'ignoreErrors', 'cache', 'trace', 'tracer', 'circuitBreaker', 'checkpoint', 'codec']) : {}
   const settings = _.defaults({}, reserveArgs, ...Object.values(settingsArgs), globalSettings)
 
   // compile onError if we have it
   if (settings.onError) {
-    settings.onError = compileServiceOrChain(queryName, settings.onError, config)
+    settings.onError = compileServiceOrChain(queryName, settings.onError, config, settingPath('onError'))
+  }
+
+  // retryOn is either a service deciding whether an error is retryable, or a list of error codes
+  if (isServiceDescriptor(settings.retry?.retryOn)) {
+    const retryOnPath = childPath(settingPath('retry'), 'retryOn')
+    settings.retry = {...settings.retry, retryOn: compileServiceOrChain(queryName, settings.retry.retryOn, config, retryOnPath)}
   }
 
+  settings.cache = collectIssue(config, path, () => compileCachePolicy(serviceName, action, reserveArgs.cache, config))
+
   // rate limit is defined globally for the service
   settings.rateLimit = config.settings?.rateLimit?.[serviceName]
 
@@ -111,37 +211,38 @@ const compileSettings = (queryName, serviceName, args, argtypes, config) => {
 }
 
 // any time we expect a service, it could instead be a chain
-const compileServiceOrChain = (queryName, value, config) => {
-  const makeFn = (descriptor) => compileServiceFunction(queryName, descriptor, config).service
+const compileServiceOrChain = (queryName, value, config, path) => {
+  const makeFn = (descriptor, path) => compileServiceFunction(queryName, descriptor, config, path).service
 
   // is it a chain?
   if (isChain(value)) {
-    return value.map(makeFn)
+    return value.map((descriptor, i) => makeFn(descriptor, childPath(path, i)))
 
     // or a single service call?
   } else {
-    return makeFn(value)
+    return makeFn(value, path)
   }
 }
 
 // Compile arguments based on argtypes metadata
-const compileArgs = (queryName, serviceName, args, argtypes, config, settings) => {
+const compileArgs = (queryName, serviceName, args, argtypes, config, settings, argsPath) => {
   const compiled = {}
 
   for (const [key, value] of Object.entries(args)) {
+    const argPath = childPath(argsPath, key)
 
     // compile object to service template
     if (argtypes[key]?.type === 'service' && typeof value === 'object' && !Array.isArray(value)) {
-      const fn = compileServiceFunction(queryName, ['util:template', value], config)
+      const fn = compileServiceFunction(queryName, ['util:template', value], config, argPath)
       compiled[key] = fn.service
 
     // compile service descriptor
     } else if (argtypes[key]?.type === 'service' && Array.isArray(value)) {
-      compiled[key] = compileServiceOrChain(queryName, value, config)
+      compiled[key] = compileServiceOrChain(queryName, value, config, argPath)
 
     // reject raw JavaScript functions
     } else if (argtypes[key]?.type === 'service' && typeof value === 'function') {
-      throw new Error(`Raw JavaScript functions are not supported in MicroQL. Use service descriptors instead of raw functions for argument '${key}' in ${serviceName}:${queryName}. Example: ['serviceName:methodName', {arg: '@'}]`)
+      config.issues.push({path: argPath, message: `Raw JavaScript functions are not supported in MicroQL. Use service descriptors instead of raw functions for argument '${key}' in ${serviceName}:${queryName}. Example: ['serviceName:methodName', {arg: '@'}]`})
 
     } else if (RESERVE_ARGS.includes(key)) {
       // exclude reserve args
@@ -173,12 +274,8 @@ function mergeArgs(args, arg0, argtypes = {}, serviceName, action) {
   args[argOrder0] = arg0
 }
 
-// Compiles a service descriptor like ['@', 'util:print', {color: 'green'}]
-// into [a compiled function, recursive dependencies]
-function compileServiceFunction(queryName, descriptor, config) {
-  const [serviceName, action, args, arg0] = parseServiceDescriptor(descriptor)
-
-  // Validate service exists and has the required method
+// Validate the service exists and has the required method
+function getServiceCall(config, serviceName, action) {
   const service = config.services[serviceName]
   if (!service) {
     throw new Error(`Service '${serviceName}' not found`)
@@ -192,48 +289,71 @@ function compileServiceFunction(queryName, descriptor, config) {
   } else {
     throw new Error(`Service '${serviceName}' must be an object with methods in the form: async (args) => result`)
   }
+  return serviceCall
+}
 
-  try {
-    const argtypes = serviceCall._argtypes || {}
-    mergeArgs(args, arg0, argtypes, serviceName, action)
-    const settings = compileSettings(queryName, serviceName, args, argtypes, config)
-    const rateLimit = config.rateLimiters?.[serviceName]
-    const compiledArgs = compileArgs(queryName, serviceName, args, argtypes, config, settings)
-    const validators = compileValidators(args, serviceCall._validators || {}, queryName, serviceName, action)
-
-    // Compile function arguments based on _argtypes
-    const serviceDef = {
-      type: 'service',
-      queryName,
-      serviceName,
-      action,
-      validators,
-      settings,
-      rateLimit,
-      args: compiledArgs,
-      dependencies: getDeps(args),
-      noTimeout: serviceCall._noTimeout || false
-    }
+// Compiles a service descriptor like ['@', 'util:print', {color: 'green'}]
+// into [a compiled function, recursive dependencies]
+// Problems are recorded in config.issues with the path of the descriptor, and
+// compilation carries on with whatever could be compiled
+function compileServiceFunction(queryName, descriptor, config, path) {
+  // returned when the call can't be compiled at all, so the rest of the query still is
+  const invalidDef = {type: 'service', queryName, dependencies: getDeps(descriptor), invalid: true}
+
+  const parsed = collectIssue(config, path, () => parseServiceDescriptor(descriptor))
+  if (!parsed) return invalidDef
+  const [serviceName, action, args, arg0] = parsed
+  // args follow the service name, which follows the target in method syntax
+  const argsPath = childPath(path, hasMethodSyntax(descriptor) ? 2 : 1)
+
+  const serviceCall = collectIssue(config, path, () => getServiceCall(config, serviceName, action))
+  if (!serviceCall) return invalidDef
+
+  const argtypes = serviceCall._argtypes || {}
+  collectIssue(config, path, () => mergeArgs(args, arg0, argtypes, serviceName, action))
+  const settings = compileSettings(queryName, serviceName, action, args, argtypes, config, path, argsPath)
+  // an action's rate limit applies in addition to its service's rate limit
+  const rateLimits = [config.rateLimiters?.[`${serviceName}:${action}`], config.rateLimiters?.[serviceName]].filter(Boolean)
+  const circuitBreaker = config.circuitBreakers?.[serviceName]
+  const compiledArgs = compileArgs(queryName, serviceName, args, argtypes, config, settings, argsPath)
+  const validators = compileValidators(args, serviceCall._validators || {}, config, path, argsPath)
+
+  // Compile function arguments based on _argtypes
+  const serviceDef = {
+    type: 'service',
+    queryName,
+    serviceName,
+    action,
+    validators,
+    settings,
+    rateLimits,
+    circuitBreaker,
+    args: compiledArgs,
+    dependencies: getDeps(args),
+    noTimeout: serviceCall._noTimeout || false
+  }
 
+  return collectIssue(config, path, () => {
     // prepare the service with arg resolution, debugging, error handling, timeout, retry
     serviceDef.service = applyWrappers(serviceDef, config)
 
-    return serviceDef
+    // the descriptor identifies the service when it is passed as an arg, e.g. in cache keys,
+    // and the definition lets query.explain describe nested services
+    serviceDef.service.descriptor = descriptor
+    serviceDef.service.definition = serviceDef
 
-  } catch (error) {
-    error.message = `[${queryName} - ${serviceName}:${action}] ${error.message}`
-    throw error
-  }
+    return serviceDef
+  }, invalidDef)
 }
 
-function compileDescriptor(queryName, descriptor, config) {
+function compileDescriptor(queryName, descriptor, config, path) {
   // Handle chains - arrays of service calls
   if (isChain(descriptor)) {
     let allDeps = new Set()
 
     // for each step in chain, collect the service definition and the dependencies
     const chainSteps = descriptor.map((d, i) => {
-      const def = compileServiceFunction(`${queryName}[${i}]`, d, config)
+      const def = compileServiceFunction(`${queryName}[${i}]`, d, config, childPath(path, i))
       allDeps = allDeps.union(def.dependencies)
       def.stepIndex = i
       delete def.dependencies
@@ -248,7 +368,7 @@ function compileDescriptor(queryName, descriptor, config) {
     }
   } else {
     // Handle single service call
-    return compileServiceFunction(queryName, descriptor, config)
+    return compileServiceFunction(queryName, descriptor, config, path)
   }
 }
 
@@ -261,6 +381,7 @@ function compileDescriptor(queryName, descriptor, config) {
  * @param {Object} config.given - given data
  * @param {boolean} config.debug - Debug logging flag
  * @returns {Object} Compiled queryTree
+ * @throws {CompileError} With every problem found in the queries
  */
 export function compile(config) {
   _.defaults(config, {services: {}, queries: {}, debug: false, settings: {}})
@@ -268,34 +389,53 @@ export function compile(config) {
   _.defaults(config.services, {util})
 
   // set up a cache for query results using the global settings provided
-  config.cache = new Cache(config.settings.cache)
+  config.cache = new Cache({codec: settings.codec, ...settings.cache})
 
   // Create rate limiter cache to share rate limiters across queries
+  // keys are either 'service' or 'service:action'
   config.rateLimiters = {}
   if (settings.rateLimit) {
-    for (const [serviceName, interval] of Object.entries(settings.rateLimit)) {
-      config.rateLimiters[serviceName] = new RateLimitedQueue(interval)
+    for (const [key, policy] of Object.entries(settings.rateLimit)) {
+      config.rateLimiters[key] = new RateLimitedQueue(policy)
     }
   }
 
+  // Circuit breakers are shared by every query using the service
+  config.circuitBreakers = _.mapValues(settings.circuitBreaker, (options, serviceName) =>
+    new CircuitBreaker(serviceName, options))
+
   // Build tree for each query (use config as-is for service compilation)
   const queryTree = {}
+  config.issues = []
 
   for (const [queryName, descriptor] of Object.entries(queries)) {
-    queryTree[queryName] = compileDescriptor(queryName, descriptor, config)
+    queryTree[queryName] = compileDescriptor(queryName, descriptor, config, childPath('queries', queryName))
+    checkPaths(descriptor, childPath('queries', queryName), config)
   }
 
   // Compile global settings separately
   const globalSettings = {...settings}
   if (settings.onError) {
-    globalSettings.onError = compileServiceOrChain('global', settings.onError, config)
+    globalSettings.onError = compileServiceOrChain('global', settings.onError, config, 'settings.onError')
   }
 
+  // check references from the descriptors, so queries which failed to compile are checked too
+  // given may be supplied per run of a prepared query, so a missing given is reported by each run instead
+  const references = _.mapValues(queries, descriptor => ({dependencies: getDeps(descriptor)}))
+  for (const {queryName, message} of findReferenceIssues(references, Object.keys(queries), true)) {
+    config.issues.push({path: childPath('queries', queryName), message})
+  }
+
+  // settings shared by many calls report the same problem for each of them
+  const issues = _.uniqBy(config.issues, ({path, message}) => `${path}: ${message}`)
+  if (issues.length > 0) throw new CompileError(issues)
+
   return {
     queries: queryTree,
     given,
     services,
     debug,
+    cache: config.cache,
     settings: globalSettings
   }
 }
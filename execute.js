@@ -9,13 +9,16 @@ import lodashDeep from 'lodash-deep'
 _.mixin(lodashDeep)
 
 import ContextStack from './context.js'
+import Trace from './trace.js'
+import {inSpan} from './tracing.js'
+import {findReferenceIssues} from './references.js'
 
-async function executeNode(node, results, contextStack, usedServices) {
+async function executeNode(node, results, contextStack, usedServices, runtime) {
   // Execute a service
   if (node.type === 'service') {
     // Track service usage
     usedServices.add(node.serviceName)
-    return node.service(results, contextStack)
+    return node.service(results, contextStack, runtime)
 
   // Execute each chain step, storing result in contextStack
   } else if (node.type === 'chain') {
@@ -29,7 +32,7 @@ async function executeNode(node, results, contextStack, usedServices) {
 
       // Track service usage for chain steps
       usedServices.add(step.serviceName)
-      const result = await step.service(results, contextStack)
+      const result = await step.service(results, contextStack, runtime)
       contextStack.setCurrent(result)
     }
 
@@ -38,6 +41,18 @@ async function executeNode(node, results, contextStack, usedServices) {
 
 }
 
+// Execute a query inside its own span when a tracer is configured,
+// so that its service calls (and chain steps) become child spans
+async function executeQuery(queryNode, results, usedServices, runtime) {
+  const {tracer, span: parent} = runtime
+  if (!tracer) return executeNode(queryNode, results, new ContextStack(), usedServices, runtime)
+
+  const {queryName} = queryNode
+  const attributes = {'microql.query': queryName}
+  return inSpan(tracer, `query ${queryName}`, {parent, attributes}, (span) =>
+    executeNode(queryNode, results, new ContextStack(), usedServices, {...runtime, span}))
+}
+
 // Call tearDown on used services
 async function callTearDown(services, usedServices) {
   for (const serviceName of usedServices) {
@@ -53,21 +68,99 @@ async function callTearDown(services, usedServices) {
   }
 }
 
+// Launch every query as soon as its own dependencies have completed,
+// rather than waiting for the whole stage it was planned in
+function runQueries(plan, queries, results, usedServices, runtime, onResult) {
+  const pending = plan.flat()
+  const completed = new Set(Object.keys(queries).filter(queryName => queries[queryName].completed))
+  if ('given' in results) completed.add('given')
+  const {signal} = runtime
+
+  return new Promise((resolve, reject) => {
+    let running = 0
+    let failed = false
+
+    // the listener is removed however the run ends, since the caller's signal may outlive many runs
+    const fail = (error) => {
+      failed = true
+      signal.removeEventListener('abort', onAbort)
+      reject(error)
+    }
+
+    // stop launching queries and give up on the running ones if the run is aborted
+    const onAbort = () => fail(signal.reason)
+    if (signal.aborted) return onAbort()
+    signal.addEventListener('abort', onAbort, {once: true})
+
+    const launchReady = () => {
+      if (failed) return
+
+      for (const queryNode of pending.filter(q => q.dependencies.isSubsetOf(completed))) {
+        pending.splice(pending.indexOf(queryNode), 1)
+        running++
+
+        executeQuery(queryNode, results, usedServices, runtime).then((result) => {
+          results[queryNode.queryName] = result
+          completed.add(queryNode.queryName)
+          onResult?.(queryNode.queryName, result)
+          running--
+          launchReady()
+        }, fail)
+      }
+
+      if (pending.length === 0 && running === 0) {
+        signal.removeEventListener('abort', onAbort)
+        resolve()
+      }
+
+      // nothing is running to complete the dependencies of the pending queries,
+      // so they would wait forever
+      if (pending.length > 0 && running === 0) {
+        const pendingNames = pending.map(queryNode => queryNode.queryName)
+        const issues = findReferenceIssues(queries, pendingNames, completed.has('given'))
+        const reason = issues.length > 0 ?
+          issues.map(issue => issue.message).join('\n') :
+          `Queries can never run, their dependencies are unavailable: ${pendingNames.join(', ')}`
+        fail(new Error(reason))
+      }
+    }
+
+    launchReady()
+  })
+}
+
 /**
  * Execute a prepared execution plan on the provided queryTree
+ * Stages only determine a valid ordering - each query starts as soon as its
+ * own dependencies are satisfied, so there is no barrier between stages.
  * @param {Object} plan - Staged execution plan
  * @param {Array} plan.stages - Array of stages, each containing query plans to execute in parallel
  * @param {Object} queryTree.given - given data
  * @param {Object} queryTree.services - Service objects
  * @param {Object} queryTree.queries - All query AST nodes (for snapshot handling)
+ * @param {Function} queryTree.queryVersions - Returns the version of each query, for util:snapshot
+ * @param {Object} queryTree.snapshotReport - Queries restored from and skipped in the loaded snapshot
+ * @param {Object} options - Per-run options
+ * @param {AbortSignal} options.signal - Aborts the run and every in-flight service call
+ * @param {Function} options.onResult - Called with (queryName, value) as each query completes
  * @returns {Object} Execution results
  */
-export async function execute(plan, queryTree) {
+export async function execute(plan, queryTree, {signal, onResult} = {}) {
   const {given, services, queries, settings = {}} = queryTree
 
   const results = {}
   const usedServices = new Set()
 
+  // the first fatal error aborts sibling service calls which are still running
+  const controller = new AbortController()
+  const runtime = {
+    signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+    trace: settings.trace ? new Trace({cache: queryTree.cache, snapshot: queryTree.snapshotReport}) : undefined,
+    tracer: settings.tracer,
+    codec: settings.codec,
+    queryVersions: queryTree.queryVersions
+  }
+
   // Add given data
   if (given) results.given = given
 
@@ -78,14 +171,11 @@ export async function execute(plan, queryTree) {
     }
   }
 
-  // Execute each stage of our execution plan
+  // Execute the plan, launching queries along their critical path
   try {
-    for (const stage of plan) {
-      await Promise.all(stage.map(async (queryNode) => {
-        results[queryNode.queryName] = await executeNode(queryNode, results, new ContextStack(), usedServices)
-      }))
-    }
+    await runQueries(plan, queries, results, usedServices, runtime, onResult)
   } catch (error) {
+    controller.abort(error)
 
     // Handle global error settings
     if (settings.onError) {
@@ -109,6 +199,8 @@ export async function execute(plan, queryTree) {
     await callTearDown(services, usedServices)
   }
 
+  if (runtime.trace) results._trace = runtime.trace.report()
+
   return results
 }
 
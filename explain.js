@@ -0,0 +1,96 @@
+/**
+ * @fileoverview MicroQL Explain
+ *
+ * Describes a compiled query without calling any services: the stages of the
+ * execution plan, each query's dependencies, and every service call with the
+ * wrappers (cache, retry, timeout, rate limit, validation...) applied to it.
+ */
+
+import _ from 'lodash'
+import {retryOptions} from './wrappers.js'
+
+// withRetry => 'retry', withRateLimit => 'rateLimit'
+const wrapperName = (name) => _.lowerFirst(name.replace(/^with/, ''))
+
+// compiled services are single functions or chains of them
+const compiledDefinitions = (value) => {
+  const services = Array.isArray(value) ? value : [value]
+  return services.every(service => service?.definition) ? services.map(service => service.definition) : undefined
+}
+
+function explainCall(def, settings) {
+  const wrappers = def.wrappers.map(wrapperName)
+  const call = {service: `${def.serviceName}:${def.action}`}
+  if (def.stepIndex !== undefined) call.stepIndex = def.stepIndex
+  call.wrappers = wrappers
+
+  // the options behind each wrapper
+  if (wrappers.includes('cache')) call.cache = def.settings.cache === true ? {} : def.settings.cache
+  if (wrappers.includes('retry')) {
+    const {retryOn, ...retry} = retryOptions(def.settings.retry)
+    call.retry = typeof retryOn === 'function' || Array.isArray(retryOn) && retryOn.some(_.isFunction) ?
+      {...retry, retryOn: 'service'} :
+      {...retry, retryOn}
+  }
+  if (wrappers.includes('timeout')) call.timeout = def.settings.timeout
+  if (wrappers.includes('rateLimit')) {
+    call.rateLimits = [`${def.serviceName}:${def.action}`, def.serviceName].filter(key => settings.rateLimit?.[key])
+  }
+  if (wrappers.includes('validation')) call.validation = Object.keys(_.pickBy(def.validators))
+  if (def.settings.ignoreErrors) call.ignoreErrors = true
+
+  // services passed as args (e.g. util:map's service) and onError handlers
+  const nested = {}
+  for (const [argName, value] of Object.entries({...def.args, onError: def.settings.onError})) {
+    const definitions = value && compiledDefinitions(value)
+    if (definitions) nested[argName] = definitions.map(nestedDef => explainCall(nestedDef, settings))
+  }
+  if (!_.isEmpty(nested)) call.nested = nested
+
+  return call
+}
+
+/**
+ * Describe a compiled queryTree and its execution plan
+ * @returns {Object} {stages: [[queryName]], queries: {queryName: {dependencies, calls}}}
+ */
+export function explain(queryTree, plan) {
+  const {settings = {}} = queryTree
+  const stages = plan.map(stage => stage.map(queryNode => queryNode.queryName))
+
+  const queries = _.mapValues(queryTree.queries, (queryNode) => ({
+    dependencies: Array.from(queryNode.dependencies),
+    calls: (queryNode.type === 'chain' ? queryNode.steps : [queryNode]).map(def => explainCall(def, settings))
+  }))
+
+  return {stages, queries}
+}
+
+/**
+ * Format an explanation as readable text, one line per service call
+ */
+export function formatExplanation({stages, queries}) {
+  const lines = []
+  const describeCall = (call, indent) => {
+    const options = ['cache', 'retry', 'timeout', 'rateLimits', 'validation']
+      .filter(option => call[option] !== undefined)
+      .map(option => `${option}: ${JSON.stringify(call[option])}`)
+    lines.push(`${indent}${call.stepIndex !== undefined ? `[${call.stepIndex}] ` : ''}${call.service}` +
+      ` (${call.wrappers.join(', ')})${options.length ? ` ${options.join(' ')}` : ''}`)
+
+    for (const [argName, nestedCalls] of Object.entries(call.nested || {})) {
+      lines.push(`${indent}  ${argName}:`)
+      nestedCalls.forEach(nestedCall => describeCall(nestedCall, `${indent}    `))
+    }
+  }
+
+  stages.forEach((stage, index) => {
+    lines.push(`Stage ${index + 1}:`)
+    for (const queryName of stage) {
+      const {dependencies, calls} = queries[queryName]
+      lines.push(`  ${queryName}${dependencies.length ? ` <- ${dependencies.join(', ')}` : ''}`)
+      calls.forEach(call => describeCall(call, '    '))
+    }
+  })
+  return lines.join('\n')
+}
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview MicroQL Graph Export
+ *
+ * Renders a compiled query as a graph for design reviews: queries, chain steps
+ * and nested services are nodes, and edges show data dependencies, the order of
+ * chain steps and services passed as arguments (util:map's service, onError).
+ *
+ * Formats are Graphviz DOT, Mermaid flowcharts and JSON.
+ */
+
+import {explain} from './explain.js'
+
+/**
+ * Build the graph of a compiled queryTree
+ * @returns {Object} {stages, nodes: [{id, type, query, ...}], edges: [{from, to, type, label?}]}
+ *   node types: 'given', 'query' (a single service call), 'chain', 'step' and 'service' (nested)
+ *   edge types: 'data', 'step' and 'nested'
+ */
+export function buildGraph(queryTree, plan) {
+  const {stages, queries} = explain(queryTree, plan)
+  const nodes = []
+  const edges = []
+
+  // nodes for services passed as args, below the call which receives them
+  const addNested = (queryName, parentId, call) => {
+    for (const [argName, nestedCalls] of Object.entries(call.nested || {})) {
+      nestedCalls.forEach((nestedCall, index) => {
+        const id = `${parentId}.${argName}[${index}]`
+        nodes.push({id, type: 'service', query: queryName, service: nestedCall.service, wrappers: nestedCall.wrappers})
+        edges.push({from: parentId, to: id, type: 'nested', label: argName})
+        addNested(queryName, id, nestedCall)
+      })
+    }
+  }
+
+  const referencesGiven = Object.values(queries).some(({dependencies}) => dependencies.includes('given'))
+  if (referencesGiven) nodes.push({id: 'given', type: 'given'})
+
+  stages.forEach((stage, stageIndex) => {
+    for (const queryName of stage) {
+      const {dependencies, calls} = queries[queryName]
+      const isChain = queryTree.queries[queryName].type === 'chain'
+
+      if (isChain) {
+        nodes.push({id: queryName, type: 'chain', query: queryName, stage: stageIndex})
+        calls.forEach((call, index) => {
+          const id = `${queryName}[${index}]`
+          nodes.push({id, type: 'step', query: queryName, stepIndex: index, service: call.service, wrappers: call.wrappers})
+          if (index > 0) edges.push({from: `${queryName}[${index - 1}]`, to: id, type: 'step'})
+          addNested(queryName, id, call)
+        })
+      } else {
+        const [call] = calls
+        nodes.push({id: queryName, type: 'query', query: queryName, stage: stageIndex, service: call.service, wrappers: call.wrappers})
+        addNested(queryName, queryName, call)
+      }
+
+      for (const dep of dependencies) {
+        if (dep === 'given' || queries[dep]) edges.push({from: dep, to: queryName, type: 'data'})
+      }
+    }
+  })
+
+  return {stages, nodes, edges}
+}
+
+const label = (node) => {
+  if (node.type === 'given') return ['given']
+  if (node.type === 'query') return [node.query, node.service]
+  if (node.type === 'step') return [`${node.stepIndex}: ${node.service}`]
+  return [node.service]
+}
+
+// Nodes grouped into chains, with top level nodes under the '' key
+const groupNodes = (nodes) => {
+  const groups = {'': []}
+  for (const node of nodes) {
+    if (node.type === 'chain') groups[node.id] = []
+    else if (groups[node.query] && node.query !== node.id) groups[node.query].push(node)
+    else groups[''].push(node)
+  }
+  return groups
+}
+
+// Edges into a chain go to its first step, and edges out of it leave from its last step
+const chainEnds = (nodes) => {
+  const ends = {}
+  for (const node of nodes.filter(node => node.type === 'step')) {
+    ends[node.query] ??= {first: node.id}
+    ends[node.query].last = node.id
+  }
+  return ends
+}
+
+const dotString = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+
+function toDot({nodes, edges}) {
+  const groups = groupNodes(nodes)
+  const ends = chainEnds(nodes)
+  const lines = ['digraph microql {', '  rankdir=LR', '  compound=true', '  node [shape=box]']
+
+  const dotNode = (node, indent) => {
+    const shape = node.type === 'given' ? ', shape=ellipse' : node.type === 'service' ? ', style=rounded' : ''
+    lines.push(`${indent}${dotString(node.id)} [label=${dotString(label(node).join('\n')).replace(/\n/g, '\\n')}${shape}]`)
+  }
+
+  groups[''].forEach(node => dotNode(node, '  '))
+  for (const [chainName, chainNodes] of Object.entries(groups)) {
+    if (!chainName) continue
+    lines.push(`  subgraph ${dotString(`cluster_${chainName}`)} {`, `    label=${dotString(chainName)}`)
+    chainNodes.forEach(node => dotNode(node, '    '))
+    lines.push('  }')
+  }
+
+  for (const edge of edges) {
+    const attributes = []
+    let {from, to} = edge
+    if (edge.type === 'data') {
+      if (ends[from]) {
+        attributes.push(`ltail=${dotString(`cluster_${from}`)}`)
+        from = ends[from].last
+      }
+      if (ends[to]) {
+        attributes.push(`lhead=${dotString(`cluster_${to}`)}`)
+        to = ends[to].first
+      }
+    }
+    if (edge.type === 'nested') attributes.push('style=dashed', `label=${dotString(edge.label)}`)
+    if (edge.type === 'step') attributes.push('style=bold')
+    lines.push(`  ${dotString(from)} -> ${dotString(to)}${attributes.length ? ` [${attributes.join(', ')}]` : ''}`)
+  }
+
+  lines.push('}')
+  return lines.join('\n')
+}
+
+// Mermaid ids are limited to word characters, so ids are numbered and names kept in labels
+const mermaidString = (value) => `"${value.replace(/"/g, '#quot;')}"`
+
+function toMermaid({nodes, edges}) {
+  const groups = groupNodes(nodes)
+  const ids = Object.fromEntries(nodes.map((node, index) => [node.id, `n${index}`]))
+  const lines = ['flowchart LR']
+
+  const mermaidNode = (node, indent) => {
+    const text = mermaidString(label(node).join('<br/>'))
+    const shape = node.type === 'given' ? `([${text}])` : node.type === 'service' ? `(${text})` : `[${text}]`
+    lines.push(`${indent}${ids[node.id]}${shape}`)
+  }
+
+  groups[''].forEach(node => mermaidNode(node, '  '))
+  for (const [chainName, chainNodes] of Object.entries(groups)) {
+    if (!chainName) continue
+    lines.push(`  subgraph ${ids[chainName]} [${mermaidString(chainName)}]`)
+    chainNodes.forEach(node => mermaidNode(node, '    '))
+    lines.push('  end')
+  }
+
+  for (const {from, to, type, label: edgeLabel} of edges) {
+    const arrow = type === 'nested' ? `-.->|${mermaidString(edgeLabel)}|` : type === 'step' ? '==>' : '-->'
+    lines.push(`  ${ids[from]} ${arrow} ${ids[to]}`)
+  }
+
+  return lines.join('\n')
+}
+
+const formats = {
+  dot: toDot,
+  mermaid: toMermaid,
+  json: (graph) => JSON.stringify(graph, null, 2)
+}
+
+/**
+ * Render a compiled queryTree and its execution plan as a graph
+ * @param {Object} options - {format: 'dot' (default), 'mermaid' or 'json'}
+ * @returns {string} The rendered graph
+ */
+export function renderGraph(queryTree, plan, {format = 'dot'} = {}) {
+  if (!formats[format]) {
+    throw new Error(`Unknown graph format '${format}'. Expected 'dot', 'mermaid' or 'json'`)
+  }
+  return formats[format](buildGraph(queryTree, plan))
+}
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview MicroQL Paths
+ *
+ * Resolves the path of a `$.` or `@.` reference.  Plain paths like
+ * `orders[0].id` are resolved with `_.get`, while paths using the JSONPath-like
+ * operators select every matching value and return them as an array:
+ *
+ *   orders[*].id          wildcard, every element of an array or value of an object
+ *   orders[1:3]           slice of an array: [start:end:step], negative indexes count from the end
+ *   orders[-1]            negative index, in a path which also uses another operator
+ *   ..id                  recursive descent, every `id` at any depth
+ *   users[?active]        filter, elements where the field is truthy ([?!active] for falsy)
+ *   users[?age >= 18]     filter comparing a field with a number, 'string', true, false or null
+ *                         using ==, !=, <, <=, > or >=
+ */
+
+import _ from 'lodash'
+
+// Only paths containing one of these are parsed, everything else is left to _.get
+const OPERATOR_REGEX = /^\.|\*|\.\.|\[\s*\?|\[[^\]]*:/
+
+const FILTER_REGEX = /^(!)?\s*(?:@\.?)?([^\s!=<>]*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+?))?\s*$/
+const SLICE_REGEX = /^(-?\d*):(-?\d*)(?::(-?\d*))?$/
+const NAME_REGEX = /^[^.[\]]+/
+const MULTI_SEGMENTS = ['descent', 'wildcard', 'slice', 'filter']
+
+// Parse a literal in a filter: a number, a quoted string, true, false or null
+const parseLiteral = (text, path) => {
+  if (/^'.*'$|^".*"$/.test(text)) return text.slice(1, -1)
+  if (text === 'true') return true
+  if (text === 'false') return false
+  if (text === 'null') return null
+  if (text !== '' && Number.isFinite(Number(text))) return Number(text)
+  throw new Error(`Invalid value '${text}' in filter of path '${path}'. Expected a number, 'string', true, false or null`)
+}
+
+const comparisons = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+}
+
+const parseFilter = (expression, path) => {
+  const match = expression.match(FILTER_REGEX)
+  if (!match || (match[1] && match[3])) {
+    throw new Error(`Invalid filter '[?${expression}]' in path '${path}'. Expected [?field] or [?field >= value]`)
+  }
+  const [, not, field, operator, literal] = match
+  const fieldValue = (item) => field ? _.get(item, field) : item
+
+  if (!operator) return not ? (item) => !fieldValue(item) : (item) => Boolean(fieldValue(item))
+  const value = parseLiteral(literal, path)
+  return (item) => comparisons[operator](fieldValue(item), value)
+}
+
+// Parse the inside of [...]
+const parseBracket = (inner, path) => {
+  const text = inner.trim()
+  if (text === '*') return {type: 'wildcard'}
+  if (text.startsWith('?')) return {type: 'filter', predicate: parseFilter(text.slice(1).trim(), path)}
+  if (/^'.*'$|^".*"$/.test(text)) return {type: 'key', key: text.slice(1, -1)}
+  if (/^-?\d+$/.test(text)) return {type: 'index', index: Number(text)}
+
+  const slice = text.match(SLICE_REGEX)
+  if (slice) {
+    const [, start, end, step] = slice.map(n => n === '' || n === undefined ? undefined : Number(n))
+    if (step !== undefined && step <= 0) throw new Error(`Invalid slice step in path '${path}'. Expected a positive step`)
+    return {type: 'slice', start, end, step: step ?? 1}
+  }
+  return {type: 'key', key: text}
+}
+
+// Find the ] closing the bracket opened at `start`, skipping quoted strings
+const closingBracket = (path, start) => {
+  let quote
+  for (let i = start + 1; i < path.length; i++) {
+    const c = path[i]
+    if (quote) {
+      if (c === quote) quote = undefined
+    } else if (c === '\'' || c === '"') {
+      quote = c
+    } else if (c === ']') {
+      return i
+    }
+  }
+  throw new Error(`Unclosed [ in path '${path}'`)
+}
+
+/**
+ * Parse a path into segments: key, index, wildcard, slice, filter and descent
+ * A leading '.' is recursive descent from the root, as in '$..id'
+ * @returns {Array} Segments, e.g. [{type: 'key', key: 'orders'}, {type: 'wildcard'}]
+ */
+export const parsePath = _.memoize((path) => {
+  const segments = []
+  let i = 0
+
+  while (i < path.length) {
+    if (path.startsWith('..', i) || (i === 0 && path[i] === '.')) {
+      segments.push({type: 'descent'})
+      i += path.startsWith('..', i) ? 2 : 1
+    } else if (path[i] === '.') {
+      i++
+    }
+
+    if (path[i] === '[') {
+      const end = closingBracket(path, i)
+      segments.push(parseBracket(path.slice(i + 1, end), path))
+      i = end + 1
+      continue
+    }
+
+    const name = path.slice(i).match(NAME_REGEX)?.[0]
+    if (!name) throw new Error(`Expected a name at position ${i} of path '${path}'`)
+    segments.push(name === '*' ? {type: 'wildcard'} : {type: 'key', key: name})
+    i += name.length
+  }
+  return segments
+})
+
+// Values directly inside a node, for wildcards and filters
+const children = (node) => {
+  if (Array.isArray(node)) return node
+  return node !== null && typeof node === 'object' ? Object.values(node) : []
+}
+
+// A node and every value nested inside it, depth first
+const descendants = (node) => [node, ...children(node).flatMap(descendants)]
+
+const sliceIndex = (index, length) => index < 0 ? Math.max(length + index, 0) : Math.min(index, length)
+
+const select = (node, segment) => {
+  const {type} = segment
+  if (type === 'descent') return descendants(node)
+  if (type === 'wildcard') return children(node)
+  if (type === 'filter') return children(node).filter(segment.predicate)
+  if (node === null || node === undefined) return []
+
+  if (type === 'key') return node[segment.key] === undefined ? [] : [node[segment.key]]
+  if (!Array.isArray(node)) return []
+  if (type === 'index') {
+    const value = node[segment.index < 0 ? node.length + segment.index : segment.index]
+    return value === undefined ? [] : [value]
+  }
+
+  // slice
+  const start = sliceIndex(segment.start ?? 0, node.length)
+  const end = sliceIndex(segment.end ?? node.length, node.length)
+  return _.range(start, end, segment.step).map(index => node[index])
+}
+
+// Whether a path uses any of the operators which select many values
+export const isMultiPath = (path) => OPERATOR_REGEX.test(path)
+
+/**
+ * Resolve a path against a value
+ * @returns {*} The value at a plain path, or an array of every value matching a path with operators
+ */
+export function getPath(target, path) {
+  if (!isMultiPath(path)) return _.get(target, path)
+
+  const segments = parsePath(path)
+  const matches = segments.reduce((nodes, segment) => nodes.flatMap(node => select(node, segment)), [target])
+
+  // e.g. a['key:with:colons'] uses no operators after all
+  return segments.some(({type}) => MULTI_SEGMENTS.includes(type)) ? matches : matches[0]
+}
@@ -6,13 +6,17 @@
  */
 
 import _ from 'lodash'
-import fs from 'fs-extra'
 import compile from './compile.js'
 import execute from './execute.js'
+import {Checkpoint, loadSnapshot, queryVersions} from './snapshot.js'
+import {explain as explainPlan} from './explain.js'
+import {renderGraph} from './graph.js'
+import {findReferenceIssues} from './references.js'
 
 /**
  * Create execution plan with stages for parallel execution
- * Detects circular dependencies at compile time
+ * Detects unknown references, self-references and circular dependencies at compile time
+ * Stages give a valid ordering; execute() does not wait between them
  */
 function createExecutionPlan(queryTree) {
   const {queries, given} = queryTree
@@ -37,7 +41,11 @@ function createExecutionPlan(queryTree) {
 
     if (readyQueries.length === 0) {
       const remaining = Object.keys(queries).filter(q => !executedQueries.has(q))
-      throw new Error(`Circular dependency detected at compile time: ${remaining.join(', ')}`)
+      const issues = findReferenceIssues(queries, remaining, Boolean(given))
+      if (issues.length === 0) {
+        throw new Error(`Circular dependency detected at compile time: ${remaining.join(', ')}`)
+      }
+      throw new Error(issues.map(issue => issue.message).join('\n'))
     }
 
     const stage = readyQueries.map(([queryName, queryTree]) => {
@@ -52,52 +60,155 @@ function createExecutionPlan(queryTree) {
 }
 
 /**
- * Load snapshot data and inject it into execution plan
+ * Apply result selection to execution results
  */
-async function loadSnapshot(snapshotPath, queryTree) {
-  if (!snapshotPath || !(await fs.pathExists(snapshotPath))) {
-    return
+function applySelection(results, select) {
+  if (Array.isArray(select)) {
+    // keep the execution trace alongside the selected results
+    return _.pick(results, select.concat('_trace'))
+  } else if (typeof select === 'string') {
+    return results[select]
   }
+  return results
+}
 
-  try {
-    const snapshotData = JSON.parse(await fs.readFile(snapshotPath, 'utf8'))
+/**
+ * Stream events from an execution started by `start(signal, onResult)`
+ * Yields {queryName, value} as each query completes, followed by a final
+ * {summary: {results, duration}} containing the selected results.
+ * Breaking out of the loop aborts the remaining service calls.
+ */
+async function* streamResults(start, parentSignal) {
+  const startTime = Date.now()
+  const controller = new AbortController()
+  const signal = parentSignal ? AbortSignal.any([parentSignal, controller.signal]) : controller.signal
 
-    if (!snapshotData.results) {
-      return
-    }
+  // buffer events until the consumer asks for them
+  const events = []
+  let notify = () => {}
+  const push = (event) => {
+    events.push(event)
+    notify()
+  }
 
-    // Add snapshotRestoreTimestamp query to the execution plan
-    queryTree.queries.snapshotRestoreTimestamp = {
-      type: 'literal',
-      value: snapshotData.timestamp,
-      dependencies: new Set(),
-      completed: true
-    }
+  start(signal, (queryName, value) => push({queryName, value})).then(
+    (results) => push({summary: {results, duration: Date.now() - startTime}}),
+    (error) => push({error})
+  )
 
-    // Pre-load snapshot results for matching queries
-    for (const [queryName, result] of Object.entries(snapshotData.results)) {
-      if (queryTree.queries[queryName]) {
-        // Preserve the original query structure but mark as completed with value
-        queryTree.queries[queryName].value = result
-        queryTree.queries[queryName].completed = true
-      }
+  try {
+    while (true) {
+      if (events.length === 0) await new Promise(resolve => notify = resolve)
+      const event = events.shift()
+      if (event.error) throw event.error
+      yield event
+      if (event.summary) return
     }
-  } catch (error) {
-    // Ignore snapshot loading errors - proceed with normal execution
-    console.warn(`Failed to load snapshot from ${snapshotPath}:`, error.message)
+  } finally {
+    controller.abort(new Error('Query stream was closed'))
   }
 }
 
 /**
- * Apply result selection to execution results
+ * Compile a query configuration once so it can be run many times
+ * The compiled queryTree, execution plan, cache and rate limiters are shared
+ * by every run, while `given`, `snapshot`, `signal` and `select` are per-run.
+ * @param {Object} config - Query configuration, as for query()
+ * @returns {Object} Prepared query with run() and stream() methods
  */
-function applySelection(results, select) {
-  if (Array.isArray(select)) {
-    return _.pick(results, select)
-  } else if (typeof select === 'string') {
-    return results[select]
+function prepare(config) {
+  // Phase 1: Compile queries into queryTree
+  const queryTree = compile(config)
+
+  // Phase 2: Create execution plan and detect circular dependencies
+  // given is supplied per run, so plan as if it is always available
+  const plan = createExecutionPlan({...queryTree, given: {}})
+
+  const runPrepared = async (options, onResult) => {
+    const {checkpoint: checkpointSettings} = queryTree.settings
+    const {
+      given = config.given,
+      snapshot = config.snapshot ?? checkpointSettings?.path, // resume from the last checkpoint
+      signal = config.signal,
+      select = config.select
+    } = options
+    // query versions depend on given, and are only computed if a snapshot is loaded or saved
+    const versions = _.once(() => queryVersions(queryTree.queries, config.queries, given))
+    let runTree = {...queryTree, given, queryVersions: versions}
+    let runPlan = plan
+
+    // Phase 3: Load snapshot if specified, re-planning around the restored queries
+    if (snapshot) {
+      runTree = {...runTree, queries: {...queryTree.queries}}
+      runTree.snapshotReport = await loadSnapshot(snapshot, runTree)
+      runPlan = createExecutionPlan(runTree)
+    }
+
+    // the prepared plan assumes given is supplied, so fail now rather than wait on $.given forever
+    const needsGiven = runPlan.flat().filter(queryNode => queryNode.dependencies.has('given'))
+    if (!given && needsGiven.length > 0) {
+      const queryNames = needsGiven.map(queryNode => queryNode.queryName)
+      throw new Error(findReferenceIssues(runTree.queries, queryNames, false).map(issue => issue.message).join('\n'))
+    }
+
+    // Phase 4: Execute the plan, checkpointing results as queries complete
+    const checkpoint = checkpointSettings && new Checkpoint(checkpointSettings, {
+      plan: runPlan,
+      queries: runTree.queries,
+      versions: versions(),
+      codec: queryTree.settings.codec
+    })
+    const onQueryResult = (queryName, value) => {
+      checkpoint?.record(queryName, value)
+      onResult?.(queryName, value)
+    }
+
+    let results
+    try {
+      results = await execute(runPlan, runTree, {signal, onResult: onQueryResult})
+    } finally {
+      await checkpoint?.flush()
+    }
+    await checkpoint?.complete()
+
+    // Phase 5: Apply result selection
+    return applySelection(results, select)
+  }
+
+  return {
+    queryTree,
+    plan,
+
+    /**
+     * Describe the execution plan without calling any services
+     * @returns {Object} Stages, and each query's dependencies and service calls, see explain.js
+     */
+    explain: () => explainPlan(queryTree, plan),
+
+    /**
+     * Render the queries, chain steps, nested services and data edges as a graph
+     * @param {Object} options - {format: 'dot' (default), 'mermaid' or 'json'}
+     * @returns {string} The rendered graph
+     */
+    graph: (options) => renderGraph(queryTree, plan, options),
+
+    /**
+     * Run the prepared query
+     * @param {Object} options - Per-run options: given, snapshot, signal, select
+     * @returns {*} Query results
+     */
+    run: (options = {}) => runPrepared(options),
+
+    /**
+     * Run the prepared query, streaming results as each query completes
+     * @param {Object} options - Per-run options: given, snapshot, signal, select
+     * @returns {AsyncGenerator} Query events
+     */
+    stream: (options = {}) => streamResults(
+      (signal, onResult) => runPrepared({...options, signal}, onResult),
+      options.signal ?? config.signal
+    )
   }
-  return results
 }
 
 /**
@@ -108,25 +219,44 @@ function applySelection(results, select) {
  * @param {Object} config.given - Starting data
  * @param {string|Array} config.select - Result selection
  * @param {boolean} config.debug - Debug logging
+ * @param {AbortSignal} config.signal - Cancels the query and in-flight service calls
  * @returns {*} Query results
  */
 async function query(config) {
-  // Phase 1: Compile queries into queryTree
-  const queryTree = compile(config)
-
-  // Phase 2: Load snapshot if specified
-  if (config.snapshot) {
-    await loadSnapshot(config.snapshot, queryTree)
-  }
+  return prepare(config).run()
+}
 
-  // Phase 3: Create execution plan and detect circular dependencies
-  const plan = createExecutionPlan(queryTree)
+/**
+ * Streaming variant of query() for rendering partial results
+ * @param {Object} config - Same configuration as query()
+ * @returns {AsyncGenerator} Query events, see streamResults()
+ */
+function stream(config) {
+  return prepare(config).stream()
+}
 
-  // Phase 4: Execute the plan
-  const results = await execute(plan, queryTree)
+/**
+ * Describe how a query would run, without calling any services
+ * @param {Object} config - Same configuration as query()
+ * @returns {Object} {stages, queries: {queryName: {dependencies, calls}}}
+ */
+function explain(config) {
+  return prepare(config).explain()
+}
 
-  // Phase 5: Apply result selection
-  return applySelection(results, config.select)
+/**
+ * Render a query as a Graphviz DOT, Mermaid or JSON graph, without calling any services
+ * @param {Object} config - Same configuration as query()
+ * @param {Object} options - {format: 'dot' (default), 'mermaid' or 'json'}
+ * @returns {string} The rendered graph
+ */
+function graph(config, options) {
+  return prepare(config).graph(options)
 }
 
+query.stream = stream
+query.prepare = prepare
+query.explain = explain
+query.graph = graph
+
 export default query
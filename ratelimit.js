@@ -1,31 +1,86 @@
 const timeoutPromise = (timeout) => new Promise((fulfill, _) => setTimeout(fulfill, timeout))
 
+// Normalize a rate limit policy:
+//   - a number is the interval in ms between calls, which run one at a time
+//   - {interval, maxConcurrent, requestsPerSecond, burst} may be combined
+const normalizePolicy = (policy) => {
+  if (typeof policy === 'number') return {interval: policy, maxConcurrent: 1}
+  const {interval = 0, maxConcurrent, requestsPerSecond, burst = 1} = policy
+  return {interval, maxConcurrent: maxConcurrent ?? (interval ? 1 : Infinity), requestsPerSecond, burst}
+}
+
 export default class RateLimitedQueue {
-  constructor(interval) {
+  constructor(policy) {
+    const {interval, maxConcurrent, requestsPerSecond, burst} = normalizePolicy(policy)
     this.interval = interval
+    this.maxConcurrent = maxConcurrent
+
+    // token bucket: holds up to `burst` tokens, refilled at requestsPerSecond
+    this.requestsPerSecond = requestsPerSecond
+    this.burst = burst
+    this.tokens = burst
+    this.lastRefill = Date.now()
+
     this.fns = []
-    this.executing = false
+    this.running = 0
+    this.timer = undefined
   }
-  push(fn) {
-    const promise = new Promise((resolve, reject) => {
-      this.fns.push(async () => {
+  // a call aborted while it waits is taken out of the queue, so it doesn't use a slot or a token
+  push(fn, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason)
+
+      const onAbort = () => {
+        this.fns.splice(this.fns.indexOf(entry), 1)
+        reject(signal.reason)
+      }
+      const entry = async () => {
+        signal?.removeEventListener('abort', onAbort)
         try {
           resolve(await fn())
         } catch (error) {
           reject(error)
         }
-      })
+      }
+
+      this.fns.push(entry)
+      signal?.addEventListener('abort', onAbort, {once: true})
+      this._call()
     })
-    this._call()
-    return promise
   }
-  async _call() {
-    if (!this.executing && this.fns.length > 0) {
-      this.executing = true
+  _refill() {
+    const now = Date.now()
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.requestsPerSecond / 1000)
+    this.lastRefill = now
+  }
+  _call() {
+    while (this.fns.length > 0 && this.running < this.maxConcurrent) {
+      if (this.requestsPerSecond) {
+        this._refill()
+
+        // wait until the next token is available
+        if (this.tokens < 1) {
+          if (!this.timer) {
+            const wait = Math.ceil((1 - this.tokens) * 1000 / this.requestsPerSecond)
+            this.timer = setTimeout(() => {
+              this.timer = undefined
+              this._call()
+            }, wait)
+          }
+          return
+        }
+        this.tokens--
+      }
+
       const fn = this.fns.shift()
-      await Promise.all([fn(), timeoutPromise(this.interval)])
-      this.executing = false
-      this._call()
+      this.running++
+
+      // a slot is held for at least `interval` ms after the call starts
+      const slot = this.interval ? Promise.all([fn(), timeoutPromise(this.interval)]) : fn()
+      slot.then(() => {
+        this.running--
+        this._call()
+      })
     }
   }
 }
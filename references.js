@@ -0,0 +1,100 @@
+/**
+ * @fileoverview MicroQL Reference Diagnostics
+ *
+ * When the execution plan can't be completed, explains why: a query references
+ * a query which doesn't exist, references itself, or is part of a cycle.
+ * Unknown names get "did you mean" suggestions from the existing query names.
+ */
+
+// Edit distance between two names, for suggestions
+function levenshtein(a, b) {
+  let previous = Array.from({length: b.length + 1}, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution)
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Suggest the closest known name to a misspelt one
+ * @returns {string|undefined} The suggestion, if any name is close enough
+ */
+export function didYouMean(name, knownNames) {
+  const maxDistance = Math.max(1, Math.floor(name.length / 3))
+  let best
+  let bestDistance = Infinity
+  for (const known of knownNames) {
+    const distance = known.toLowerCase() === name.toLowerCase() ? 0 : levenshtein(name, known)
+    if (distance <= maxDistance && distance < bestDistance) {
+      best = known
+      bestDistance = distance
+    }
+  }
+  return best
+}
+
+// Find each cycle among the unresolved queries once, as a path which starts and ends at the same query
+function findCycles(queries, unresolved) {
+  const cycles = []
+  const done = new Set()
+  const stack = []
+
+  const visit = (queryName) => {
+    if (done.has(queryName)) return
+    const index = stack.indexOf(queryName)
+    if (index !== -1) {
+      cycles.push([...stack.slice(index), queryName])
+      return
+    }
+
+    stack.push(queryName)
+    for (const dep of queries[queryName].dependencies) {
+      if (dep !== queryName && unresolved.includes(dep)) visit(dep)
+    }
+    stack.pop()
+    done.add(queryName)
+  }
+
+  unresolved.forEach(visit)
+  return cycles
+}
+
+/**
+ * Explain why queries could not be planned
+ * @param {Object} queries - Compiled query nodes
+ * @param {Array} unresolved - Names of the queries which could not be planned
+ * @param {boolean} hasGiven - Whether given data was supplied
+ * @returns {Array} [{queryName, message}], one for each problem found
+ */
+export function findReferenceIssues(queries, unresolved, hasGiven) {
+  const issues = []
+  const knownNames = ['given', ...Object.keys(queries)]
+
+  for (const queryName of unresolved) {
+    for (const dep of queries[queryName].dependencies) {
+      if (dep === queryName) {
+        issues.push({queryName, message: `Query '${queryName}' references itself ($.${queryName})`})
+      } else if (dep === 'given' && !hasGiven) {
+        issues.push({queryName, message: `Query '${queryName}' references $.given, but no given data was supplied`})
+      } else if (dep !== 'given' && !queries[dep]) {
+        const suggestion = didYouMean(dep, knownNames)
+        issues.push({
+          queryName,
+          message: `Query '${queryName}' references $.${dep}, but there is no query named '${dep}'` +
+            (suggestion ? `. Did you mean $.${suggestion}?` : '')
+        })
+      }
+    }
+  }
+
+  for (const cycle of findCycles(queries, unresolved)) {
+    issues.push({queryName: cycle[0], message: `Circular dependency detected at compile time: ${cycle.join(' -> ')}`})
+  }
+
+  return issues
+}
@@ -1,17 +1,32 @@
 import _ from 'lodash'
-import {AT_REGEX} from './common.js'
+import {AT_REGEX, TEMPLATE_REGEX} from './common.js'
+import {getPath} from './path.js'
+
+// Values are interpolated into templates as text: objects as JSON, null and undefined as ''
+const interpolate = (value) => {
+  if (value === undefined || value === null) return ''
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
 
 // Helper function to resolve @ and $ references in values
 const resolveValue = (queryResults, contextStack, value) => {
   if (typeof value !== 'string') return value
 
+  // Handle ${...} templates (e.g., "profile_${$.customer.id}"), which always resolve to a string
+  if (value.includes('${')) {
+    return value.replace(TEMPLATE_REGEX, (_match, reference) =>
+      interpolate(resolveValue(queryResults, contextStack, reference)))
+  }
+
   // Handle bare $ - returns all completed queries
-  if (value === '$') return _.omitBy(queryResults, (r, key) => key.startsWith('_'))
+  const allResults = () => _.omitBy(queryResults, (r, key) => key.startsWith('_'))
+  if (value === '$') return allResults()
 
-  // Handle $.path references (e.g., "$.given.value")
+  // Handle $.path references (e.g., "$.given.value", "$.orders[*].id")
   if (value.startsWith('$.')) {
     const path = value.substring(2) // Remove "$."
-    return _.get(queryResults, path)
+    // like bare $, "$..id" searches every completed query
+    return getPath(path.startsWith('.') ? allResults() : queryResults, path)
   }
 
   //console.log('matching context for: [', value, '], with stack:', contextStack, 'stack contents:', contextStack.stack)
@@ -23,7 +38,7 @@ const resolveValue = (queryResults, contextStack, value) => {
     const atCount = ats.length
     //console.log('Resolving @:', value, 'atCount:', atCount, 'stack size:', contextStack.stack.length, 'stack:', contextStack.stack)
     const targetContext = contextStack.get(atCount)
-    const result = path && path.length > 0 ? _.get(targetContext, path) : targetContext
+    const result = path && path.length > 0 ? getPath(targetContext, path) : targetContext
     //console.log('ats:', ats, 'path:', path, 'result:', result)
     return result
   }
@@ -6,6 +6,8 @@
 import path from 'node:path'
 import fs from 'fs-extra'
 import {ANSI_COLORS} from '../common.js'
+import taggedJSON from '../codec.js'
+import {hash} from '../snapshot.js'
 import _ from 'lodash'
 
 /**
@@ -43,17 +45,159 @@ async function shouldSkipSnapshot(timestamp, out) {
   return false
 }
 
+// Call fn on each item with at most `concurrency` calls in flight, preserving order
+// No more items are started after one fails, or once the signal is aborted
+async function mapLimit(items, concurrency, fn, signal) {
+  if (!concurrency || concurrency >= items.length) {
+    return Promise.all(items.map(item => fn(item)))
+  }
+
+  const results = new Array(items.length)
+  let next = 0
+  let failed = false
+  const worker = async () => {
+    while (next < items.length && !failed) {
+      signal?.throwIfAborted()
+      const index = next++
+      try {
+        results[index] = await fn(items[index])
+      } catch (error) {
+        failed = true
+        throw error
+      }
+    }
+  }
+  await Promise.all(Array.from({length: concurrency}, worker))
+  return results
+}
+
+// Apply a service to every item, or to chunks of batchSize items
+// In batch mode the service receives an array and must return an array of per-item results
+async function applyService(items, service, {concurrency, batchSize, settings, signal}) {
+  concurrency ??= settings?.concurrency
+  if (!batchSize) return mapLimit(items, concurrency, service, signal)
+
+  const batchResults = await mapLimit(_.chunk(items, batchSize), concurrency, service, signal)
+  batchResults.forEach((batchResult, index) => {
+    if (!Array.isArray(batchResult)) {
+      throw new Error(`Expected the service to return an array for each batch, got: ${typeof batchResult}`)
+    }
+    const batchLength = Math.min(batchSize, items.length - index * batchSize)
+    if (batchResult.length !== batchLength) {
+      throw new Error(`Expected the service to return ${batchLength} results for batch ${index}, got: ${batchResult.length}`)
+    }
+  })
+  return [].concat(...batchResults)
+}
+
+// Read the results saved by a previous run of a checkpointed map, as a Map of id => {item, result}
+// where item is the hash of the item.  The first line records the version of the service, and a
+// file written for another service is ignored by returning undefined.  A line cut off by a crash
+// can't be parsed, and is left for that item to be run again
+async function readItemCheckpoint(checkpointPath, codec, serviceVersion) {
+  if (!(await fs.pathExists(checkpointPath))) return
+
+  const [header, ...lines] = (await fs.readFile(checkpointPath, 'utf8')).split('\n')
+  try {
+    if (codec.parse(header).service !== serviceVersion) return
+  } catch {
+    return
+  }
+
+  const completed = new Map()
+  for (const line of lines) {
+    try {
+      const {id, item, result} = codec.parse(line)
+      completed.set(id, {item, result})
+    } catch {
+      // skip blank and partial lines
+    }
+  }
+  return completed
+}
+
+// Identify each item by its index, or by the value at idPath, which must be unique
+function checkpointEntries(items, idPath) {
+  const indexes = new Map()
+  return items.map((item, index) => {
+    if (!idPath) return {item, id: index, version: hash(item)}
+
+    const id = _.get(item, idPath)
+    if (id === undefined) throw new Error(`Item ${index} has no id at '${idPath}'`)
+    if (indexes.has(id)) {
+      throw new Error(`Items ${indexes.get(id)} and ${index} have the same id at '${idPath}': ${JSON.stringify(id)}`)
+    }
+    indexes.set(id, index)
+    return {item, id, version: hash(item)}
+  })
+}
+
+// Apply a service like applyService, appending each item's result to a JSON lines file
+// so that a rerun after a failure skips the items which already completed.
+// Results are only reused for the same service and an unchanged item
+async function applyServiceWithCheckpoint(items, service, {checkpoint, ...options}) {
+  const {path: checkpointPath, idPath, keep = false} = typeof checkpoint === 'string' ? {path: checkpoint} : checkpoint
+  const codec = options.codec || taggedJSON
+  const serviceVersion = hash(service)
+  const entries = checkpointEntries(items, idPath)
+
+  // start a new file if there is none, or it was written for another service
+  await fs.ensureDir(path.dirname(checkpointPath))
+  let completed = await readItemCheckpoint(checkpointPath, codec, serviceVersion)
+  if (!completed) {
+    completed = new Map()
+    await fs.writeFile(checkpointPath, codec.stringify({service: serviceVersion}) + '\n')
+  }
+  const isCompleted = ({id, version}) => completed.get(id)?.item === version
+  const remaining = entries.filter(entry => !isCompleted(entry))
+
+  // appends are serialized so concurrent results don't interleave.  Failed items
+  // (null or Error with ignoreErrors) aren't saved, so they are retried on the next run
+  let appending = Promise.resolve()
+  const save = ({id, version}, result) => {
+    if (result === null || result instanceof Error) return appending
+    appending = appending.then(() => fs.appendFile(checkpointPath, codec.stringify({id, item: version, result}) + '\n'))
+    return appending
+  }
+
+  const checkpointed = options.batchSize ?
+    async (batch) => {
+      const results = await service(batch.map(({item}) => item))
+      // applyService rejects batches with the wrong number of results, so they aren't saved
+      if (Array.isArray(results) && results.length === batch.length) await Promise.all(batch.map((entry, i) => save(entry, results[i])))
+      return results
+    } :
+    async (entry) => {
+      const result = await service(entry.item)
+      await save(entry, result)
+      return result
+    }
+
+  const newResults = new Map(_.zip(remaining, await applyService(remaining, checkpointed, options)))
+  if (!keep) await fs.remove(checkpointPath)
+  return entries.map(entry => newResults.has(entry) ? newResults.get(entry) : completed.get(entry.id).result)
+}
+
 /**
  * Utility service for common data transformations in MicroQL
  * Provides map, filter, flatMap, concat and other operations
  */
 const util = {
-  async map({on, service, skipInputErrors = false, skipOutputErrors = false}) {
+  /**
+   * Apply a service to each item
+   * `concurrency` bounds in-flight calls (default: settings.concurrency, else unbounded)
+   * `batchSize` hands the service arrays of items instead of single items
+   * `checkpoint` saves each item's result to a file (a path, or {path, idPath, keep}),
+   * so a rerun after a failure only calls the service for the remaining items
+   */
+  async map({on, service, skipInputErrors = false, skipOutputErrors = false, concurrency, batchSize, checkpoint, settings, signal, codec}) {
     // Filter input if requested
     const input = skipInputErrors ? await util.removeErrors({on}) : on
 
     // Apply service to all items
-    const results = await Promise.all(input.map(service))
+    const results = checkpoint ?
+      await applyServiceWithCheckpoint(input, service, {checkpoint, concurrency, batchSize, settings, signal, codec}) :
+      await applyService(input, service, {concurrency, batchSize, settings, signal})
 
     // Filter output if requested
     return skipOutputErrors ? await util.removeErrors({on: results}) : results
@@ -61,9 +205,10 @@ const util = {
 
   /**
    * Filter collection based on a service
+   * Supports the same concurrency and batchSize options as map
    */
-  async filter({on, service}) {
-    const keepResults = await Promise.all(on.map(service))
+  async filter({on, service, concurrency, batchSize, settings, signal}) {
+    const keepResults = await applyService(on, service, {concurrency, batchSize, settings, signal})
     return on.filter((_, index) => keepResults[index])
   },
 
@@ -113,8 +258,8 @@ const util = {
   /**
    * Map and then flatten the results
    */
-  async flatMap({on, service, skipInputErrors = false, skipOutputErrors = false}) {
-    const results = await util.map({on, service, skipInputErrors, skipOutputErrors})
+  async flatMap({on, service, skipInputErrors = false, skipOutputErrors = false, concurrency, batchSize, settings, signal}) {
+    const results = await util.map({on, service, skipInputErrors, skipOutputErrors, concurrency, batchSize, settings, signal})
     return results.flat()
   },
 
@@ -232,28 +377,39 @@ const util = {
    * The `$` reference unlike most paths, does not imply waiting for any queries to finish.
    * This allows capturing current execution state at any point.
    */
-  async snapshot({on, capture, out}) {
+  async snapshot({on, capture, out, codec = taggedJSON, queryVersions}) {
     capture ??= on
 
     // Skip logic: if we have a restore timestamp and file exists with same timestamp
     if (await shouldSkipSnapshot(capture.snapshotRestoreTimestamp, out))
       return on
 
+    // versions let loadSnapshot restore only the queries which haven't changed since
     const snapshotData = {
       timestamp: new Date().toISOString(),
-      results: capture
+      results: capture,
+      versions: _.pick(queryVersions, Object.keys(capture))
     }
 
     // Ensure directory exists
     await fs.ensureDir(path.dirname(out))
 
-    // Write snapshot file
-    await fs.writeFile(out, JSON.stringify(snapshotData, null, 2))
+    // Write snapshot file, keeping Dates, Maps etc. intact for loadSnapshot
+    await fs.writeFile(out, codec.stringify(snapshotData, null, 2))
 
     // Return the on argument for chaining
     return on
   },
 
+  /**
+   * Invalidate cached results for a service, one of its actions, or one call's args.
+   * Returns `on` so it can follow a write in a chain
+   */
+  async invalidateCache({on, serviceName, action, args, cache}) {
+    await cache.invalidate({serviceName, action, args})
+    return on
+  },
+
   /**
    * Record a failure to disk with error context from MicroQL
    */
@@ -300,13 +456,18 @@ const util = {
 // Argument type metadata for MicroQL service compilation
 util.map._argtypes = {
   on: {argOrder: 0},
-  service: {type: 'service'}
+  service: {type: 'service'},
+  settings: {type: 'settings'},
+  signal: {type: 'signal'},
+  codec: {type: 'codec'}
 }
 util.map._noTimeout = true
 
 util.filter._argtypes = {
   on: {argOrder: 0},
-  service: {type: 'service'}
+  service: {type: 'service'},
+  settings: {type: 'settings'},
+  signal: {type: 'signal'}
 }
 util.filter._noTimeout = true
 
@@ -332,7 +493,9 @@ util.partitionErrors._noTimeout = true
 
 util.flatMap._argtypes = {
   on: {argOrder: 0},
-  service: {type: 'service'}
+  service: {type: 'service'},
+  settings: {type: 'settings'},
+  signal: {type: 'signal'}
 }
 util.flatMap._noTimeout = true
 
@@ -346,11 +509,19 @@ util.print._argtypes = {
 }
 
 util.snapshot._argtypes = {
-  on: {argOrder: 0}
+  on: {argOrder: 0},
+  settings: {type: 'settings'},
+  codec: {type: 'codec'},
+  queryVersions: {type: 'queryVersions'}
   // capture argument will be resolved by MicroQL context ($ references)
   // out argument is a simple string path
 }
 
+util.invalidateCache._argtypes = {
+  on: {argOrder: 0},
+  cache: {type: 'cache'}
+}
+
 util.template._argtypes = {on: {argOrder: 0}}
 
 util.pick._argtypes = {
@@ -375,14 +546,21 @@ util.map._validators = {
     on: ['array'],
     service: ['any'], // Compiled by MicroQL's _argtypes system
     skipInputErrors: ['boolean', 'optional'],
-    skipOutputErrors: ['boolean', 'optional']
+    skipOutputErrors: ['boolean', 'optional'],
+    concurrency: ['number', 'int', 'positive', 'optional'],
+    batchSize: ['number', 'int', 'positive', 'optional'],
+    checkpoint: ['any', 'optional'], // a path, or {path, idPath, keep}
+    settings: ['any', 'optional']
   }
 }
 
 util.filter._validators = {
   precheck: {
     on: ['array'],
-    service: ['any'] // Compiled by MicroQL's _argtypes system
+    service: ['any'], // Compiled by MicroQL's _argtypes system
+    concurrency: ['number', 'int', 'positive', 'optional'],
+    batchSize: ['number', 'int', 'positive', 'optional'],
+    settings: ['any', 'optional']
   }
 }
 
@@ -415,7 +593,10 @@ util.flatMap._validators = {
     on: ['array'],
     service: ['any'], // Compiled by MicroQL's _argtypes system
     skipInputErrors: ['boolean', 'optional'],
-    skipOutputErrors: ['boolean', 'optional']
+    skipOutputErrors: ['boolean', 'optional'],
+    concurrency: ['number', 'int', 'positive', 'optional'],
+    batchSize: ['number', 'int', 'positive', 'optional'],
+    settings: ['any', 'optional']
   }
 }
 
@@ -492,10 +673,20 @@ util.snapshot._validators = {
   precheck: {
     on: ['any'],
     capture: ['any', 'optional'],
+    settings: ['any', 'optional'],
     out: ['string', {min: 1, regex: /^[^<>:"|?*\t\n\r\0]+$/}] // Basic path validation - exclude tab, newline, carriage return, null
   }
 }
 
+util.invalidateCache._validators = {
+  precheck: {
+    on: ['any', 'optional'],
+    serviceName: ['string'],
+    action: ['string', 'optional'],
+    args: ['any', 'optional']
+  }
+}
+
 util.recordFailure._validators = {
   precheck: {
     on: {
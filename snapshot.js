@@ -0,0 +1,183 @@
+/**
+ * @fileoverview MicroQL Snapshot Versions and Loading
+ *
+ * Snapshots written by util:snapshot record a version for each query.  A
+ * query's version hashes its descriptor, `given` when the query depends on it,
+ * and the versions of the queries it depends on, so editing a query also
+ * changes the version of everything downstream of it.  Loading a snapshot
+ * only restores queries whose version still matches.
+ *
+ * `settings.checkpoint` writes the same snapshot format automatically as
+ * queries complete, so a failed run can be resumed from where it stopped.
+ */
+
+import {createHash} from 'crypto'
+import path from 'node:path'
+import _ from 'lodash'
+import fs from 'fs-extra'
+import taggedJSON, {canonical} from './codec.js'
+
+// descriptors may hold schemas or other objects with methods, which are versioned by name
+const functionName = (fn) => ({$function: fn.name || 'anonymous'})
+
+/**
+ * Short, stable hash of a value, for versioning queries and checkpointed map items
+ */
+export const hash = (value) =>
+  createHash('sha256').update(JSON.stringify(canonical(value, functionName))).digest('hex').slice(0, 16)
+
+/**
+ * Compute the version of every query
+ * @param {Object} queries - Compiled query nodes, for their dependencies
+ * @param {Object} descriptors - Query descriptors, as written in the config
+ * @param {Object} given - given data for this run
+ * @returns {Object} Version hash for each query name
+ */
+export function queryVersions(queries, descriptors, given) {
+  const versions = {}
+
+  const versionOf = (queryName) => {
+    if (!versions[queryName]) {
+      const dependencies = {}
+      for (const dep of queries[queryName].dependencies) {
+        if (dep === 'given') dependencies.given = hash(given)
+        else if (queries[dep]) dependencies[dep] = versionOf(dep)
+      }
+      versions[queryName] = hash({descriptor: descriptors[queryName], dependencies})
+    }
+    return versions[queryName]
+  }
+
+  for (const queryName of Object.keys(descriptors)) versionOf(queryName)
+  return versions
+}
+
+/**
+ * Load snapshot data and inject it into execution plan
+ * Only queries whose version matches the current queryTree are restored.
+ * @returns {Object} {restored, skipped: [{queryName, reason}]}, or undefined if nothing was loaded
+ */
+export async function loadSnapshot(snapshotPath, queryTree) {
+  if (!snapshotPath || !(await fs.pathExists(snapshotPath))) {
+    return
+  }
+
+  try {
+    const codec = queryTree.settings?.codec || taggedJSON
+    const snapshotData = codec.parse(await fs.readFile(snapshotPath, 'utf8'))
+
+    if (!snapshotData.results) {
+      return
+    }
+
+    // Add snapshotRestoreTimestamp query to the execution plan
+    queryTree.queries.snapshotRestoreTimestamp = {
+      type: 'literal',
+      value: snapshotData.timestamp,
+      dependencies: new Set(),
+      completed: true
+    }
+
+    // Pre-load snapshot results for queries which haven't changed since the snapshot was taken
+    const versions = queryTree.queryVersions()
+    const report = {restored: [], skipped: []}
+    for (const [queryName, result] of Object.entries(snapshotData.results)) {
+      if (!queryTree.queries[queryName] || queryName === 'snapshotRestoreTimestamp') continue
+
+      const savedVersion = snapshotData.versions?.[queryName]
+      if (savedVersion !== versions[queryName]) {
+        report.skipped.push({queryName, reason: savedVersion ? 'changed' : 'unversioned'})
+        continue
+      }
+
+      // Preserve the original query structure but mark as completed with value
+      // copy the node rather than mutating it, since compiled queries can be reused across runs
+      queryTree.queries[queryName] = {...queryTree.queries[queryName], value: result, completed: true}
+      report.restored.push(queryName)
+    }
+
+    if (report.skipped.length > 0) {
+      const skipped = report.skipped.map(({queryName, reason}) => `${queryName} (${reason})`).join(', ')
+      console.warn(`Snapshot ${snapshotPath}: re-running queries which changed since it was taken: ${skipped}`)
+    }
+    return report
+  } catch (error) {
+    // Ignore snapshot loading errors - proceed with normal execution
+    console.warn(`Failed to load snapshot from ${snapshotPath}:`, error.message)
+  }
+}
+
+/**
+ * Writes completed query results to a snapshot file while a query runs.
+ * The checkpoint is loaded as the snapshot of the next run, so only the
+ * queries which had not completed are run again.
+ *   every: 'query' writes after each query completes, 'stage' after each stage of the plan
+ *   keep: keep the file after a successful run, instead of deleting it
+ */
+export class Checkpoint {
+  constructor({path: checkpointPath, every = 'query', keep = false}, {plan, queries, versions, codec = taggedJSON}) {
+    if (!checkpointPath) throw new Error('settings.checkpoint requires a path')
+    if (!['query', 'stage'].includes(every)) {
+      throw new Error(`Invalid checkpoint interval '${every}'. Expected 'query' or 'stage'`)
+    }
+    this.path = checkpointPath
+    this.every = every
+    this.keep = keep
+    this.codec = codec
+    this.versions = versions
+    this.stages = plan.map(stage => stage.map(queryNode => queryNode.queryName))
+
+    // a resumed run keeps the timestamp of the checkpoint it was restored from
+    const {snapshotRestoreTimestamp, ...restoredQueries} = queries
+    this.timestamp = snapshotRestoreTimestamp?.value ?? new Date().toISOString()
+
+    // results restored from the previous checkpoint are kept in the next one
+    this.results = {}
+    for (const [queryName, queryNode] of Object.entries(restoredQueries)) {
+      if (queryNode.completed) this.results[queryName] = queryNode.value
+    }
+
+    // writes are serialized, so an older state never overwrites a newer one
+    this.writing = Promise.resolve()
+  }
+
+  record(queryName, value) {
+    this.results[queryName] = value
+    if (this.every === 'query') return this.save()
+
+    const stage = this.stages.find(queryNames => queryNames.includes(queryName))
+    if (stage.every(name => name in this.results)) return this.save()
+  }
+
+  save() {
+    const results = {...this.results}
+    this.writing = this.writing.then(() => this.write(results)).catch(error => {
+      console.warn(`Failed to write checkpoint to ${this.path}:`, error.message)
+    })
+    return this.writing
+  }
+
+  // write to a temporary file first, so a crash mid-write leaves the previous checkpoint intact
+  async write(results) {
+    const snapshotData = {
+      timestamp: this.timestamp,
+      results,
+      versions: _.pick(this.versions, Object.keys(results))
+    }
+    const tempPath = `${this.path}.tmp`
+    await fs.ensureDir(path.dirname(this.path))
+    await fs.writeFile(tempPath, this.codec.stringify(snapshotData, null, 2))
+    await fs.rename(tempPath, this.path)
+  }
+
+  // wait for pending writes
+  async flush() {
+    await this.writing
+  }
+
+  // the run succeeded, so there is nothing left to resume
+  async complete() {
+    await this.flush()
+    if (!this.keep) await fs.remove(this.path)
+  }
+}
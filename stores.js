@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Cache storage adapters
+ *
+ * A store persists serialized cache entries by key.  Keys look like
+ * `service-action/hash`, and every method is async:
+ *
+ *   get(key) => string | undefined
+ *   set(key, value)
+ *   delete(key)
+ *   list() => [{key, accessed}]   (accessed is a ms timestamp, if the store tracks it)
+ *   touch(key)                     (mark the entry as recently used)
+ *
+ * Any object with these methods can be passed as `settings.cache.store`.
+ */
+
+import {readFile, writeFile, utimes, mkdir, readdir, stat, unlink} from 'fs/promises'
+import {existsSync} from 'fs'
+import path from 'path'
+
+// Stores each entry as a JSON file: <baseDir>/<service-action>/<hash>.json
+export class FileStore {
+  constructor({baseDir = '.cache'} = {}) {
+    this.baseDir = baseDir
+    if (!existsSync(this.baseDir)) mkdir(this.baseDir, {recursive: true}).catch(() => {})
+  }
+
+  filePath(key) {
+    return path.join(this.baseDir, `${key}.json`)
+  }
+
+  async get(key) {
+    try {
+      return await readFile(this.filePath(key), 'utf8')
+    } catch {
+      return undefined
+    }
+  }
+
+  async set(key, value) {
+    const file = this.filePath(key)
+    const dir = path.dirname(file)
+    if (!existsSync(dir)) await mkdir(dir, {recursive: true})
+    await writeFile(file, value)
+  }
+
+  async delete(key) {
+    await unlink(this.filePath(key)).catch(() => {})
+  }
+
+  async list() {
+    const entries = []
+    if (!existsSync(this.baseDir)) return entries
+
+    for (const serviceDir of await readdir(this.baseDir)) {
+      const fullServiceDir = path.join(this.baseDir, serviceDir)
+      if (!(await stat(fullServiceDir)).isDirectory()) continue
+
+      for (const file of (await readdir(fullServiceDir)).filter(f => f.endsWith('.json'))) {
+        const fileStat = await stat(path.join(fullServiceDir, file))
+        entries.push({key: `${serviceDir}/${file.slice(0, -'.json'.length)}`, accessed: fileStat.mtime.getTime()})
+      }
+    }
+    return entries
+  }
+
+  async touch(key) {
+    await utimes(this.filePath(key), new Date(), new Date())
+  }
+}
+
+// Keeps entries in process memory only, nothing is written to disk
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map()
+  }
+
+  async get(key) {
+    return this.entries.get(key)?.value
+  }
+
+  async set(key, value) {
+    this.entries.set(key, {value, accessed: Date.now()})
+  }
+
+  async delete(key) {
+    this.entries.delete(key)
+  }
+
+  async list() {
+    return Array.from(this.entries, ([key, {accessed}]) => ({key, accessed}))
+  }
+
+  async touch(key) {
+    const entry = this.entries.get(key)
+    if (entry) entry.accessed = Date.now()
+  }
+}
+
+// Shares entries between workers through a Redis-like client which provides
+// async get(key), set(key, value), del(key) and keys(pattern), e.g. node-redis or ioredis.
+// Access times are not tracked: configure expiry or eviction in Redis itself.
+export class RedisStore {
+  constructor({client, prefix = 'microql:cache:'}) {
+    if (!client) throw new Error('RedisStore requires a client')
+    this.client = client
+    this.prefix = prefix
+  }
+
+  async get(key) {
+    return (await this.client.get(this.prefix + key)) ?? undefined
+  }
+
+  async set(key, value) {
+    await this.client.set(this.prefix + key, value)
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key)
+  }
+
+  async list() {
+    const keys = await this.client.keys(`${this.prefix}*`)
+    return keys.map(key => ({key: key.slice(this.prefix.length)}))
+  }
+
+  async touch(_key) {}
+}
+
+/**
+ * Create the store named by the cache config: 'file' (default), 'memory', or a store object
+ */
+export function createStore(cacheConfig = {}) {
+  const {store = 'file'} = cacheConfig
+  if (typeof store === 'object') return store
+  if (store === 'memory') return new MemoryStore()
+  if (store === 'file') return new FileStore({baseDir: cacheConfig.configDir || cacheConfig.baseDir})
+  throw new Error(`Unknown cache store: ${store}. Expected 'file', 'memory' or a store object`)
+}
@@ -0,0 +1,145 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import query from '../query.js'
+import util from '../services/util.js'
+
+// A service which waits until it is aborted, recording the abort reason
+const createAbortable = (aborts) => {
+  const abortable = {
+    async wait({name, delay = 1000, signal}) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(name), delay)
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer)
+          aborts.push({name, reason: signal.reason})
+          reject(signal.reason)
+        }, {once: true})
+      })
+    }
+  }
+  abortable.wait._argtypes = {signal: {type: 'signal'}}
+  return abortable
+}
+
+describe('Abort Signal Tests', () => {
+  it('should pass an AbortSignal to args declared with {type: signal}', async () => {
+    const services = {
+      svc: {
+        async check({signal}) {
+          return signal instanceof AbortSignal && !signal.aborted
+        }
+      }
+    }
+    services.svc.check._argtypes = {signal: {type: 'signal'}}
+
+    const result = await query({
+      services,
+      queries: {
+        check: ['svc:check', {}]
+      }
+    })
+
+    assert.strictEqual(result.check, true)
+  })
+
+  it('should abort in-flight service calls when the caller aborts', async () => {
+    const aborts = []
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(new Error('caller gave up')), 20)
+
+    await assert.rejects(
+      query({
+        signal: controller.signal,
+        services: {abortable: createAbortable(aborts)},
+        queries: {
+          a: ['abortable:wait', {name: 'a'}],
+          b: ['abortable:wait', {name: 'b'}]
+        }
+      }),
+      /caller gave up/
+    )
+
+    assert.deepStrictEqual(aborts.map(a => a.name).sort(), ['a', 'b'])
+  })
+
+  it('should reject immediately if the signal is already aborted', async () => {
+    let called = false
+
+    await assert.rejects(
+      query({
+        signal: AbortSignal.abort(new Error('already aborted')),
+        services: {svc: {async call() { called = true }}},
+        queries: {
+          result: ['svc:call', {}]
+        }
+      }),
+      /already aborted/
+    )
+
+    assert.strictEqual(called, false)
+  })
+
+  it('should abort the service call when it times out', async () => {
+    const aborts = []
+
+    await assert.rejects(
+      query({
+        services: {abortable: createAbortable(aborts)},
+        queries: {
+          slow: ['abortable:wait', {name: 'slow', timeout: 20}]
+        }
+      }),
+      /Timed out after 20ms/
+    )
+
+    assert.strictEqual(aborts.length, 1)
+    assert.match(aborts[0].reason.message, /Timed out after 20ms/)
+  })
+
+  it('should abort sibling calls after the first fatal error', async () => {
+    const aborts = []
+
+    await assert.rejects(
+      query({
+        services: {
+          abortable: createAbortable(aborts),
+          failing: {
+            async fail() {
+              await new Promise((resolve) => setTimeout(resolve, 10))
+              throw new Error('fatal')
+            }
+          }
+        },
+        queries: {
+          sibling: ['abortable:wait', {name: 'sibling'}],
+          failing: ['failing:fail', {}]
+        }
+      }),
+      /fatal/
+    )
+
+    assert.strictEqual(aborts.length, 1)
+    assert.strictEqual(aborts[0].name, 'sibling')
+    assert.match(aborts[0].reason.message, /fatal/)
+  })
+
+  it('should propagate the signal to nested services', async () => {
+    const aborts = []
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(new Error('stop mapping')), 20)
+
+    await assert.rejects(
+      query({
+        signal: controller.signal,
+        given: {items: ['x', 'y']},
+        services: {util, abortable: createAbortable(aborts)},
+        queries: {
+          mapped: ['$.given.items', 'util:map', {service: ['abortable:wait', {name: '@'}]}]
+        }
+      }),
+      /stop mapping/
+    )
+
+    assert.deepStrictEqual(aborts.map(a => a.name).sort(), ['x', 'y'])
+  })
+})
@@ -1,9 +1,14 @@
 import assert from 'node:assert'
 import {describe, it} from 'node:test'
 import query from '../query.js'
-import {readdir, rm} from 'fs/promises'
+import {readdir, rm, mkdir, writeFile, utimes} from 'fs/promises'
+import Cache from '../cache.js'
+import _ from 'lodash'
+import {execFile} from 'node:child_process'
+import {promisify} from 'node:util'
 
 const CACHEDIR = '.cache-test-cache'
+const execFileAsync = promisify(execFile)
 
 describe('Cache Tests', () => {
   // Clean up cache before tests
@@ -142,6 +147,81 @@ describe('Cache Tests', () => {
     })
   })
 
+  describe('Cache Keys', () => {
+    const key = (args, config = {}) => new Cache({store: 'memory', ...config}).generateKey('test', 'action', args)
+
+    it('should not depend on object key order', () => {
+      assert.strictEqual(key({a: 1, b: {c: 2, d: 3}}), key({b: {d: 3, c: 2}, a: 1}))
+      assert.strictEqual(key({items: new Set([1, 2])}), key({items: new Set([2, 1])}))
+      assert.strictEqual(key({items: new Map([['a', 1], ['b', 2]])}), key({items: new Map([['b', 2], ['a', 1]])}))
+    })
+
+    it('should treat undefined properties as missing', () => {
+      assert.strictEqual(key({a: 1, b: undefined}), key({a: 1}))
+      assert.notStrictEqual(key({a: [undefined]}), key({a: [null]}))
+    })
+
+    it('should distinguish values which JSON would confuse', () => {
+      const date = new Date('2024-01-01T00:00:00Z')
+      assert.notStrictEqual(key({a: date}), key({a: date.toISOString()}))
+      assert.notStrictEqual(key({a: new Date('2024-01-02T00:00:00Z')}), key({a: date}))
+      assert.notStrictEqual(key({a: new Set([1])}), key({a: new Set([2])}))
+      assert.notStrictEqual(key({a: NaN}), key({a: null}))
+      assert.notStrictEqual(key({a: {$date: date.toISOString()}}), key({a: date}))
+    })
+
+    it('should key compiled services by their descriptor', async () => {
+      await cleanup()
+      const run = (service) => query({
+        given: {items: [1, 2]},
+        settings: {cache: {configDir: CACHEDIR}},
+        queries: {
+          result: ['$.given.items', 'util:map', {service, cache: true}]
+        },
+        select: 'result'
+      })
+
+      assert.deepStrictEqual(await run(['util:template', {value: '@'}]), [{value: 1}, {value: 2}])
+      assert.deepStrictEqual(await run(['util:template', {item: '@'}]), [{item: 1}, {item: 2}])
+      assert.deepStrictEqual(await run(['util:template', {value: '@'}]), [{value: 1}, {value: 2}])
+    })
+
+    it('should reject functions which are not compiled services', () => {
+      assert.throws(() => key({fn: function transform() {}}), /Cannot generate a key for function 'transform'/)
+    })
+
+    it('should use the configured hash algorithm', () => {
+      assert.match(key({a: 1}), /^[0-9a-f]{32}$/)
+      assert.match(key({a: 1}, {hash: 'sha256'}), /^[0-9a-f]{64}$/)
+    })
+  })
+
+  describe('Cache Serialization', () => {
+    it('should return the same types from the cache as from the service', async () => {
+      await cleanup()
+      const services = {
+        records: {
+          async load() {
+            return {updated: new Date('2024-01-01T00:00:00Z'), ids: new Set([1, 2]), data: Buffer.from('abc')}
+          }
+        }
+      }
+      const run = () => query({
+        services,
+        settings: {cache: {configDir: CACHEDIR}},
+        queries: {loaded: ['records:load', {cache: true}]},
+        select: 'loaded'
+      })
+
+      const uncached = await run()
+      const cached = await run() // a new query, so this is read from disk
+      assert.deepStrictEqual(cached, uncached)
+      assert(cached.updated instanceof Date)
+      assert(cached.ids instanceof Set)
+      assert(Buffer.isBuffer(cached.data))
+    })
+  })
+
   describe('Cache Invalidation', () => {
     it('should cleanup expired cache entries', async () => {
       await cleanup()
@@ -172,6 +252,121 @@ describe('Cache Tests', () => {
       // Note: In a real test, we'd manipulate file timestamps to test expiration
       // For now, just verify the structure exists
     })
+
+    const fill = async (cache) => {
+      for (const [serviceName, action, id] of [['users', 'get', 1], ['users', 'get', 2], ['users', 'list', 1], ['orders', 'get', 1]]) {
+        await cache.getOrCompute(serviceName, action, {id}, async () => `${serviceName}:${action}:${id}`)
+      }
+    }
+    const cachedKeys = async (cache) => (await cache.store.list()).map(({key}) => key.split('/')[0]).sort()
+
+    it('should invalidate entries by service, action and args', async () => {
+      await cleanup()
+      const cache = new Cache({configDir: CACHEDIR})
+      await fill(cache)
+
+      assert.strictEqual(await cache.invalidate({serviceName: 'users', action: 'get', args: {id: 1}}), 1)
+      assert.deepStrictEqual(await cachedKeys(cache), ['orders-get', 'users-get', 'users-list'])
+      assert.strictEqual(cache.memoryCache.size, 3)
+
+      assert.strictEqual(await cache.invalidate({serviceName: 'users', action: 'get'}), 1)
+      assert.deepStrictEqual(await cachedKeys(cache), ['orders-get', 'users-list'])
+
+      assert.strictEqual(await cache.invalidate({serviceName: 'users'}), 1)
+      assert.deepStrictEqual(await cachedKeys(cache), ['orders-get'])
+      assert.strictEqual(cache.memoryCache.size, 1)
+
+      // invalidated entries are recomputed
+      assert.strictEqual(await cache.getOrCompute('users', 'get', {id: 1}, async () => 'recomputed'), 'recomputed')
+    })
+
+    it('should clear every entry', async () => {
+      await cleanup()
+      const cache = new Cache({configDir: CACHEDIR})
+      await fill(cache)
+
+      assert.strictEqual(await cache.clear(), 4)
+      assert.deepStrictEqual(await cachedKeys(cache), [])
+      assert.strictEqual(cache.stats.entries, 0)
+    })
+
+    it('should require a service to invalidate', async () => {
+      const cache = new Cache({configDir: CACHEDIR})
+      await assert.rejects(cache.invalidate(), /requires a serviceName/)
+      await assert.rejects(cache.invalidate({serviceName: 'users', args: {id: 1}}), /requires an action/)
+    })
+
+    it('should invalidate cached results from a query with util:invalidateCache', async () => {
+      await cleanup()
+      const records = {1: 'original'}
+      const services = {
+        records: {
+          async get({id}) {
+            return records[id]
+          },
+          async update({id, value}) {
+            records[id] = value
+            return value
+          }
+        }
+      }
+
+      const prepared = query.prepare({
+        services,
+        settings: {cache: {configDir: CACHEDIR}},
+        queries: {
+          before: ['records:get', {id: '$.given.id', cache: {key: ['id']}}],
+          update: [
+            ['records:update', {id: '$.given.id', value: '$.given.value', after: '$.before'}],
+            ['@', 'util:invalidateCache', {serviceName: 'records', action: 'get', args: {id: '$.given.id'}}]
+          ],
+          // keyed on id only, so this would hit the entry cached by `before` unless it was invalidated
+          after: ['records:get', {id: '$.given.id', after: '$.update', cache: {key: ['id']}}]
+        }
+      })
+
+      const result = await prepared.run({given: {id: 1, value: 'updated'}})
+      assert.strictEqual(result.before, 'original')
+      assert.strictEqual(result.update, 'updated')
+      assert.strictEqual(result.after, 'updated')
+    })
+
+    it('should list, inspect and purge entries with microql-cache', async () => {
+      await cleanup()
+      await fill(new Cache({configDir: CACHEDIR}))
+      const cli = (...args) => execFileAsync(process.execPath, ['bin/microql-cache.js', ...args, '--dir', CACHEDIR])
+
+      const {stdout: listed} = await cli('list', 'users')
+      const keys = listed.trim().split('\n').map(line => line.split('\t')[0])
+      assert.strictEqual(keys.length, 3)
+      assert(keys.every(key => key.startsWith('users-')))
+
+      const {stdout: inspected} = await cli('inspect', keys[0])
+      assert.match(JSON.parse(inspected).result, /^users:get:/)
+
+      const {stdout: purged} = await cli('purge', 'users:get')
+      assert.match(purged, /Deleted 2 cache entries/)
+      const {stdout: purgedAll} = await cli('purge', '--all')
+      assert.match(purgedAll, /Deleted 2 cache entries/)
+
+      await assert.rejects(cli('inspect', 'users-get/missing'), /No cache entry for key/)
+    })
+
+    it('should only purge the entries asked for', async () => {
+      await cleanup()
+      await fill(new Cache({configDir: CACHEDIR}))
+      const cli = (...args) => execFileAsync(process.execPath, ['bin/microql-cache.js', ...args, '--dir', CACHEDIR])
+
+      // an entry for another service which hasn't been used for a month
+      await mkdir(`${CACHEDIR}/reports-build`, {recursive: true})
+      await writeFile(`${CACHEDIR}/reports-build/old.json`, '{}')
+      const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+      await utimes(`${CACHEDIR}/reports-build/old.json`, monthAgo, monthAgo)
+
+      const {stdout: purged} = await cli('purge', 'users:get')
+      assert.match(purged, /Deleted 2 cache entries/)
+      assert.deepStrictEqual(await readdir(`${CACHEDIR}/reports-build`), ['old.json'])
+    })
   })
 
   describe('Cache with Other Wrappers', () => {
@@ -293,4 +488,198 @@ describe('Cache Tests', () => {
       assert.strictEqual(callCount, 1) // No new execution
     })
   })
+
+  describe('Cache Policies', () => {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+    const createCounter = () => {
+      const counter = {
+        calls: 0,
+        async increment({value}) {
+          counter.calls++
+          return {count: counter.calls, input: value}
+        }
+      }
+      return counter
+    }
+
+    const runCounter = (counter, args, settings = {}) => query({
+      given: {value: 'test'},
+      services: {counter},
+      settings: {cache: {configDir: CACHEDIR, ...settings}},
+      queries: {
+        count: ['counter:increment', {value: '$.given.value', ...args}]
+      },
+      select: 'count'
+    })
+
+    it('should recompute entries older than ttl', async () => {
+      await cleanup()
+      const counter = createCounter()
+
+      await runCounter(counter, {cache: {ttl: 50}})
+      await runCounter(counter, {cache: {ttl: 50}})
+      assert.strictEqual(counter.calls, 1)
+
+      await sleep(80)
+      const result = await runCounter(counter, {cache: {ttl: 50}})
+      assert.strictEqual(result.count, 2)
+      assert.strictEqual(counter.calls, 2)
+    })
+
+    it('should key on a subset of args', async () => {
+      await cleanup()
+      const counter = createCounter()
+      const cache = {key: ['value']}
+
+      const result1 = await runCounter(counter, {requestId: 'a', cache})
+      const result2 = await runCounter(counter, {requestId: 'b', cache})
+      assert.strictEqual(result1.count, 1)
+      assert.strictEqual(result2.count, 1)
+      assert.strictEqual(counter.calls, 1)
+
+      // without a key, the request id is part of the cache key
+      await runCounter(counter, {requestId: 'a', cache: true})
+      await runCounter(counter, {requestId: 'b', cache: true})
+      assert.strictEqual(counter.calls, 3)
+    })
+
+    it('should serve stale entries while revalidating', async () => {
+      await cleanup()
+      const counter = createCounter()
+      const cache = {ttl: 30, staleWhileRevalidate: '1h'}
+
+      await runCounter(counter, {cache})
+      await sleep(50)
+
+      // the stale entry is returned, and refreshed in the background
+      const stale = await runCounter(counter, {cache})
+      assert.strictEqual(stale.count, 1)
+      await sleep(20)
+      assert.strictEqual(counter.calls, 2)
+
+      const fresh = await runCounter(counter, {cache})
+      assert.strictEqual(fresh.count, 2)
+      assert.strictEqual(counter.calls, 2)
+    })
+
+    it('should keep memory scoped entries out of the store', async () => {
+      await cleanup()
+      const counter = createCounter()
+      const prepared = query.prepare({
+        services: {counter},
+        settings: {cache: {configDir: CACHEDIR}},
+        queries: {
+          count: ['counter:increment', {value: '$.given.value', cache: {scope: 'memory'}}]
+        },
+        select: 'count'
+      })
+
+      await prepared.run({given: {value: 'test'}})
+      await prepared.run({given: {value: 'test'}})
+      assert.strictEqual(counter.calls, 1)
+      const serviceDirs = await readdir(CACHEDIR).catch(() => [])
+      assert(!serviceDirs.includes('counter-increment'), 'No entries should be written to the store')
+    })
+
+    it('should apply service and action policies, with call policies taking precedence', async () => {
+      await cleanup()
+      const counter = createCounter()
+      const policies = {counter: {key: []}, 'counter:increment': {ttl: '1h'}}
+
+      // policies enable caching without a call level cache arg
+      await runCounter(counter, {}, {policies})
+      const result = await runCounter(counter, {value: 'other'}, {policies})
+      assert.strictEqual(result.input, 'test')
+      assert.strictEqual(counter.calls, 1)
+
+      // a call level key overrides the service key
+      await runCounter(counter, {value: 'other', cache: {key: ['value']}}, {policies})
+      assert.strictEqual(counter.calls, 2)
+
+      // and cache: false disables caching
+      await runCounter(counter, {cache: false}, {policies})
+      assert.strictEqual(counter.calls, 3)
+    })
+
+    it('should reject unknown cache scopes', async () => {
+      await assert.rejects(runCounter(createCounter(), {cache: {scope: 'redis'}}), /Invalid cache scope 'redis'/)
+    })
+  })
+
+  describe('Memory Cache Limits', () => {
+    const compute = (cache, value) =>
+      cache.getOrCompute('test', 'action', {value}, async () => value, {scope: 'memory'})
+
+    it('should evict least recently used entries beyond maxEntries', async () => {
+      const cache = new Cache({configDir: CACHEDIR, maxEntries: 2})
+
+      await compute(cache, 'a')
+      await compute(cache, 'b')
+      await compute(cache, 'a') // a is now more recently used than b
+      await compute(cache, 'c')
+
+      assert.strictEqual(cache.memoryCache.size, 2)
+      assert.deepStrictEqual(cache.stats, {hits: 1, misses: 3, evictions: 1, diskReads: 0, entries: 2, bytes: cache.stats.bytes})
+
+      // b was evicted, a is still cached
+      await compute(cache, 'a')
+      await compute(cache, 'b')
+      assert.strictEqual(cache.stats.hits, 2)
+      assert.strictEqual(cache.stats.misses, 4)
+    })
+
+    it('should evict entries beyond maxBytes', async () => {
+      const cache = new Cache({configDir: CACHEDIR, maxBytes: 200})
+      const large = 'x'.repeat(120)
+
+      await compute(cache, large + 1)
+      await compute(cache, large + 2)
+      assert.strictEqual(cache.stats.entries, 1)
+      assert.strictEqual(cache.stats.evictions, 1)
+      assert(cache.stats.bytes <= 200)
+
+      // entries larger than maxBytes are not kept in memory at all
+      await compute(cache, 'x'.repeat(300))
+      assert.strictEqual(cache.stats.entries, 1)
+    })
+
+    it('should count disk reads', async () => {
+      await cleanup()
+      const value = {value: 'disk'}
+      await new Cache({configDir: CACHEDIR}).getOrCompute('test', 'action', value, async () => 'result')
+
+      const cache = new Cache({configDir: CACHEDIR})
+      assert.strictEqual(await cache.getOrCompute('test', 'action', value, async () => 'recomputed'), 'result')
+      assert.strictEqual(await cache.getOrCompute('test', 'action', value, async () => 'recomputed'), 'result')
+      assert.strictEqual(cache.stats.diskReads, 1)
+      assert.strictEqual(cache.stats.hits, 2)
+      assert.strictEqual(cache.stats.misses, 0)
+    })
+
+    it('should report cache stats for the run in the trace', async () => {
+      await cleanup()
+      const prepared = query.prepare({
+        services: {
+          test: {
+            async action({value}) {
+              return value
+            }
+          }
+        },
+        settings: {trace: true, cache: {configDir: CACHEDIR}},
+        queries: {
+          first: ['test:action', {value: '$.given.value', cache: true}],
+          second: ['test:action', {value: '$.first', cache: true}]
+        }
+      })
+
+      const result1 = await prepared.run({given: {value: 1}})
+      assert.deepStrictEqual(_.omit(result1._trace.cache, 'bytes'), {hits: 1, misses: 1, evictions: 0, diskReads: 1, entries: 1})
+
+      // counts are for this run only
+      const result2 = await prepared.run({given: {value: 1}})
+      assert.deepStrictEqual(_.omit(result2._trace.cache, 'bytes'), {hits: 2, misses: 0, evictions: 0, diskReads: 0, entries: 1})
+    })
+  })
 })
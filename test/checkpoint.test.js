@@ -0,0 +1,117 @@
+import assert from 'node:assert'
+import path from 'node:path'
+import {fileURLToPath} from 'node:url'
+import fs from 'fs-extra'
+import {describe, it, afterEach} from 'node:test'
+import query from '../query.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const checkpointPath = path.join(__dirname, 'test-checkpoint.json')
+
+describe('Checkpoint Tests', () => {
+  afterEach(async () => {
+    await fs.remove(checkpointPath)
+  })
+
+  // a pipeline of a -> b -> c, where c fails until `fixed` is set
+  const createPipeline = () => {
+    const pipeline = {
+      calls: [],
+      fixed: false,
+      async step({name, input = 0}) {
+        pipeline.calls.push(name)
+        if (name === 'c' && !pipeline.fixed) throw new Error('c crashed')
+        return input + 1
+      }
+    }
+    return pipeline
+  }
+
+  const config = (pipeline, checkpoint = {path: checkpointPath}) => ({
+    services: {pipeline},
+    settings: {checkpoint},
+    queries: {
+      a: ['pipeline:step', {name: 'a'}],
+      b: ['pipeline:step', {name: 'b', input: '$.a'}],
+      other: ['pipeline:step', {name: 'other'}],
+      c: ['pipeline:step', {name: 'c', input: '$.b'}]
+    }
+  })
+
+  it('should resume a failed run from the last checkpoint', async () => {
+    const pipeline = createPipeline()
+    await assert.rejects(query(config(pipeline)), /c crashed/)
+
+    const saved = await fs.readJson(checkpointPath)
+    assert.deepStrictEqual(saved.results, {a: 1, other: 1, b: 2})
+    assert.deepStrictEqual(Object.keys(saved.versions).sort(), ['a', 'b', 'other'])
+
+    // only the query which didn't complete is run again
+    pipeline.fixed = true
+    pipeline.calls = []
+    const result = await query(config(pipeline))
+    assert.strictEqual(result.c, 3)
+    assert.deepStrictEqual(pipeline.calls, ['c'])
+  })
+
+  it('should delete the checkpoint after a successful run, unless kept', async () => {
+    const pipeline = createPipeline()
+    pipeline.fixed = true
+
+    await query(config(pipeline))
+    assert(!(await fs.pathExists(checkpointPath)))
+
+    await query(config(pipeline, {path: checkpointPath, keep: true}))
+    const saved = await fs.readJson(checkpointPath)
+    assert.deepStrictEqual(saved.results, {a: 1, other: 1, b: 2, c: 3})
+  })
+
+  it('should keep restored results and the original timestamp in later checkpoints', async () => {
+    const pipeline = createPipeline()
+    await assert.rejects(query(config(pipeline)), /c crashed/)
+    const {timestamp} = await fs.readJson(checkpointPath)
+
+    // crash again after resuming
+    await assert.rejects(query(config(pipeline)), /c crashed/)
+    const saved = await fs.readJson(checkpointPath)
+    assert.strictEqual(saved.timestamp, timestamp)
+    assert.deepStrictEqual(saved.results, {a: 1, other: 1, b: 2})
+  })
+
+  it('should re-run queries which changed since the checkpoint', async () => {
+    const pipeline = createPipeline()
+    await assert.rejects(query(config(pipeline)), /c crashed/)
+
+    pipeline.fixed = true
+    pipeline.calls = []
+    const edited = config(pipeline)
+    edited.queries.b = ['pipeline:step', {name: 'b', input: '$.a', retry: 1}]
+    const result = await query(edited)
+    assert.strictEqual(result.c, 3)
+    assert.deepStrictEqual(pipeline.calls, ['b', 'c'])
+  })
+
+  it('should write checkpoints once per stage', async () => {
+    const pipeline = createPipeline()
+    const writes = []
+    const writeFile = fs.writeFile
+    fs.writeFile = async (file, data) => {
+      writes.push(Object.keys(JSON.parse(data).results).sort())
+      return writeFile(file, data)
+    }
+
+    try {
+      await assert.rejects(query(config(pipeline, {path: checkpointPath, every: 'stage'})), /c crashed/)
+    } finally {
+      fs.writeFile = writeFile
+    }
+
+    // stages are [a, other], [b], [c]
+    assert.deepStrictEqual(writes, [['a', 'other'], ['a', 'b', 'other']])
+  })
+
+  it('should reject invalid checkpoint settings', async () => {
+    await assert.rejects(query(config(createPipeline(), {path: checkpointPath, every: 'call'})), /Invalid checkpoint interval 'call'/)
+    await assert.rejects(query(config(createPipeline(), {})), /settings.checkpoint requires a path/)
+  })
+})
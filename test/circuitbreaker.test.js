@@ -0,0 +1,181 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import query from '../query.js'
+import CircuitBreaker, {CircuitOpenError} from '../circuitbreaker.js'
+
+describe('Circuit Breaker Tests', () => {
+  const fail = () => Promise.reject(new Error('service down'))
+  const succeed = () => Promise.resolve('ok')
+
+  describe('CircuitBreaker', () => {
+    it('should open after consecutive failures and fail fast', async () => {
+      const breaker = new CircuitBreaker('api', {failureThreshold: 2, resetAfter: 1000})
+      let calls = 0
+      const counted = () => {
+        calls++
+        return fail()
+      }
+
+      await assert.rejects(breaker.call(counted), /service down/)
+      await assert.rejects(breaker.call(counted), /service down/)
+      await assert.rejects(breaker.call(counted), CircuitOpenError)
+
+      assert.strictEqual(breaker.state, 'open')
+      assert.strictEqual(calls, 2)
+    })
+
+    it('should reset the failure count after a success', async () => {
+      const breaker = new CircuitBreaker('api', {failureThreshold: 2})
+
+      await assert.rejects(breaker.call(fail))
+      await breaker.call(succeed)
+      await assert.rejects(breaker.call(fail))
+
+      assert.strictEqual(breaker.state, 'closed')
+    })
+
+    it('should not count calls aborted by the caller', async () => {
+      const breaker = new CircuitBreaker('api', {failureThreshold: 1, resetAfter: 20})
+      const controller = new AbortController()
+      controller.abort(new Error('caller gave up'))
+      const aborted = () => Promise.reject(controller.signal.reason)
+
+      await assert.rejects(breaker.call(aborted, controller.signal), /caller gave up/)
+      assert.strictEqual(breaker.state, 'closed')
+      assert.strictEqual(breaker.failures, 0)
+
+      // an aborted trial call leaves the circuit open for the next one
+      await assert.rejects(breaker.call(fail))
+      await new Promise((resolve) => setTimeout(resolve, 30))
+      await assert.rejects(breaker.call(aborted, controller.signal), /caller gave up/)
+      assert.strictEqual(await breaker.call(succeed), 'ok')
+      assert.strictEqual(breaker.state, 'closed')
+    })
+
+    it('should half-open after resetAfter and close on success', async () => {
+      const breaker = new CircuitBreaker('api', {failureThreshold: 1, resetAfter: 20})
+      await assert.rejects(breaker.call(fail))
+      await new Promise((resolve) => setTimeout(resolve, 30))
+
+      // only one trial call is allowed through while half-open
+      let finishTrial
+      const trial = breaker.call(() => new Promise(resolve => finishTrial = resolve))
+      assert.strictEqual(breaker.state, 'half-open')
+      await assert.rejects(breaker.call(succeed), CircuitOpenError)
+
+      finishTrial('recovered')
+      assert.strictEqual(await trial, 'recovered')
+      assert.strictEqual(breaker.state, 'closed')
+    })
+
+    it('should reopen when the trial call fails', async () => {
+      const breaker = new CircuitBreaker('api', {failureThreshold: 1, resetAfter: '1s'})
+      breaker.openedAt = Date.now() - 2000
+      breaker.state = 'open'
+
+      await assert.rejects(breaker.call(fail), /service down/)
+      assert.strictEqual(breaker.state, 'open')
+      await assert.rejects(breaker.call(succeed), CircuitOpenError)
+    })
+  })
+
+  describe('Query Integration', () => {
+    const createDownService = () => {
+      const down = {
+        calls: 0,
+        async fetch() {
+          this.calls++
+          throw new Error('service down')
+        }
+      }
+      return down
+    }
+
+    it('should fail fast across queries once the circuit opens', async () => {
+      const down = createDownService()
+      const errors = {async pass({on}) { return on }}
+      errors.pass._argtypes = {on: {argOrder: 0}}
+      const onError = ['@', 'errors:pass']
+
+      const result = await query({
+        settings: {circuitBreaker: {down: {failureThreshold: 2, resetAfter: '1m'}}},
+        services: {down, errors},
+        queries: {
+          first: ['down:fetch', {ignoreErrors: true, onError}],
+          second: ['down:fetch', {after: '$.first', ignoreErrors: true, onError}],
+          third: ['down:fetch', {after: '$.second', ignoreErrors: true, onError}]
+        }
+      })
+
+      assert.strictEqual(down.calls, 2)
+      assert.match(result.second.message, /service down/)
+      assert(result.third instanceof CircuitOpenError)
+      assert.strictEqual(result.third.queryName, 'third')
+    })
+
+    it('should share circuit breakers across runs of a prepared query', async () => {
+      const down = createDownService()
+      const prepared = query.prepare({
+        settings: {circuitBreaker: {down: {failureThreshold: 2, resetAfter: '1m'}}},
+        services: {down},
+        queries: {
+          result: ['down:fetch', {}]
+        }
+      })
+
+      await assert.rejects(prepared.run(), /service down/)
+      await assert.rejects(prepared.run(), /service down/)
+      await assert.rejects(prepared.run(), (error) => {
+        assert(error instanceof CircuitOpenError)
+        assert.match(error.message, /\[result - down:fetch\] Circuit open for service 'down'/)
+        return true
+      })
+      assert.strictEqual(down.calls, 2)
+    })
+
+    it('should not count calls aborted because another query failed', async () => {
+      const slow = {
+        calls: 0,
+        async wait({signal}) {
+          slow.calls++
+          await new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, 1000)
+            signal.addEventListener('abort', () => {
+              clearTimeout(timer)
+              reject(signal.reason)
+            }, {once: true})
+          })
+        }
+      }
+      slow.wait._argtypes = {signal: {type: 'signal'}}
+      const down = createDownService()
+      const prepared = query.prepare({
+        settings: {circuitBreaker: {slow: {failureThreshold: 1, resetAfter: '1m'}}},
+        services: {slow, down},
+        queries: {
+          waiting: ['slow:wait', {}],
+          failing: ['down:fetch', {}]
+        }
+      })
+
+      await assert.rejects(prepared.run(), /service down/)
+      await assert.rejects(prepared.run(), /service down/)
+      assert.strictEqual(slow.calls, 2)
+    })
+
+    it('should not affect services without a circuit breaker', async () => {
+      const down = createDownService()
+      const other = createDownService()
+      const prepared = query.prepare({
+        settings: {circuitBreaker: {down: {failureThreshold: 1}}},
+        services: {down, other},
+        queries: {
+          result: ['other:fetch', {ignoreErrors: true}]
+        }
+      })
+
+      for (let i = 0; i < 3; i++) await prepared.run()
+      assert.strictEqual(other.calls, 3)
+    })
+  })
+})
@@ -17,7 +17,7 @@ describe('Circular Dependency Detection Tests', () => {
             b: ['test:identity', {value: '$.a'}]
           }
         }),
-        /Circular dependency detected at compile time: a, b/
+        /Circular dependency detected at compile time: a -> b -> a/
       )
     })
 
@@ -29,7 +29,7 @@ describe('Circular Dependency Detection Tests', () => {
             a: ['test:identity', {value: '$.a'}]
           }
         }),
-        /Circular dependency detected at compile time: a/
+        /Query 'a' references itself \(\$\.a\)/
       )
     })
 
@@ -43,7 +43,7 @@ describe('Circular Dependency Detection Tests', () => {
             c: ['test:identity', {value: '$.b'}]
           }
         }),
-        /Circular dependency detected at compile time: a, b, c/
+        /Circular dependency detected at compile time: a -> c -> b -> a/
       )
     })
 
@@ -57,7 +57,7 @@ describe('Circular Dependency Detection Tests', () => {
             c: ['test:identity', {value: '$.a'}]
           }
         }),
-        /Circular dependency detected at compile time: a, b, c/
+        /Circular dependency detected at compile time: a -> b -> c -> a/
       )
     })
   })
@@ -78,7 +78,7 @@ describe('Circular Dependency Detection Tests', () => {
             external: ['test:identity', {value: '$.chainA'}]
           }
         }),
-        /Circular dependency detected at compile time: chainA, external/
+        /Circular dependency detected at compile time: chainA -> external -> chainA/
       )
     })
 
@@ -101,7 +101,7 @@ describe('Circular Dependency Detection Tests', () => {
             result: ['test:identity', {value: '$.deepNested'}]
           }
         }),
-        /Circular dependency detected at compile time: deepNested, result/
+        /Circular dependency detected at compile time: deepNested -> result -> deepNested/
       )
     })
 
@@ -120,7 +120,7 @@ describe('Circular Dependency Detection Tests', () => {
             finalResult: ['test:identity', {value: '$.processedData'}]
           }
         }),
-        /Circular dependency detected at compile time: processedData, multiplier, finalResult/
+        /Circular dependency detected at compile time: processedData -> multiplier -> processedData/
       )
     })
 
@@ -136,7 +136,7 @@ describe('Circular Dependency Detection Tests', () => {
             validator: ['test:identity', {value: '$.filtered'}] // Depends on filtered
           }
         }),
-        /Circular dependency detected at compile time: filtered, validator/
+        /Circular dependency detected at compile time: filtered -> validator -> filtered/
       )
     })
 
@@ -160,7 +160,70 @@ describe('Circular Dependency Detection Tests', () => {
             levelThree: ['test:double', {value: '$.levelTwo'}]
           }
         }),
-        /Circular dependency detected at compile time: levelOne, levelTwo/
+        /Circular dependency detected at compile time: levelOne -> levelTwo -> levelOne/
+      )
+    })
+  })
+
+  describe('Unknown References', () => {
+    it('should report a misspelt query with a suggestion', async () => {
+      await assert.rejects(
+        query({
+          given: {id: 1},
+          services,
+          queries: {
+            profile: ['test:identity', {value: '$.given.id'}],
+            summary: ['test:identity', {value: '$.profiel.name'}]
+          }
+        }),
+        /^CompileError: queries\.summary: Query 'summary' references \$\.profiel, but there is no query named 'profiel'\. Did you mean \$\.profile\?$/
+      )
+    })
+
+    it('should report an unknown query without a suggestion', async () => {
+      await assert.rejects(
+        query({
+          services,
+          queries: {
+            profile: ['test:identity', {value: 1}],
+            summary: ['test:identity', {value: '$.orders'}]
+          }
+        }),
+        /^CompileError: queries\.summary: Query 'summary' references \$\.orders, but there is no query named 'orders'$/
+      )
+    })
+
+    it('should report unknown references inside nested services', async () => {
+      await assert.rejects(
+        query({
+          given: {array: [1, 2]},
+          services,
+          queries: {
+            multiplier: ['test:identity', {value: 10}],
+            scaled: ['$.given.array', 'util:map', {service: ['$.multipler', 'math:multiply']}]
+          }
+        }),
+        /Query 'scaled' references \$\.multipler, but there is no query named 'multipler'\. Did you mean \$\.multiplier\?/
+      )
+    })
+
+    it('should report every problem at once', async () => {
+      await assert.rejects(
+        query({
+          services,
+          queries: {
+            a: ['test:identity', {value: '$.b'}],
+            b: ['test:identity', {value: '$.a'}],
+            c: ['test:identity', {value: '$.missing'}]
+          }
+        }),
+        (error) => {
+          assert.deepStrictEqual(error.issues, [
+            {path: 'queries.c', message: 'Query \'c\' references $.missing, but there is no query named \'missing\''},
+            {path: 'queries.a', message: 'Circular dependency detected at compile time: a -> b -> a'}
+          ])
+          return true
+        }
       )
     })
   })
@@ -183,7 +246,7 @@ describe('Circular Dependency Detection Tests', () => {
             anotherValid: ['math:times10', {on: '$.validQuery'}]
           }
         }),
-        /Circular dependency detected at compile time: circular1, circular2/
+        /Circular dependency detected at compile time: circular1 -> circular2 -> circular1/
       )
     })
 
@@ -210,7 +273,7 @@ describe('Circular Dependency Detection Tests', () => {
             cyclicDep: ['test:identity', {value: '$.chainWithCycle'}]
           }
         }),
-        /Circular dependency detected at compile time: chainWithCycle, cyclicDep/
+        /Circular dependency detected at compile time: chainWithCycle -> cyclicDep -> chainWithCycle/
       )
     })
   })
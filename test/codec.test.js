@@ -0,0 +1,69 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import taggedJSON from '../codec.js'
+
+const roundTrip = (value) => taggedJSON.parse(taggedJSON.stringify(value))
+
+describe('Codec Tests', () => {
+  it('should round trip plain JSON values unchanged', () => {
+    const value = {a: 1, b: 'two', c: [true, null, {d: 4.5}], e: {}}
+    assert.deepStrictEqual(roundTrip(value), value)
+    assert.strictEqual(taggedJSON.stringify(value), JSON.stringify(value))
+  })
+
+  it('should preserve Dates, Buffers, Maps, Sets and BigInts', () => {
+    const value = {
+      date: new Date('2024-01-02T03:04:05.678Z'),
+      buffer: Buffer.from('hello'),
+      map: new Map([['a', 1], [{key: 'object'}, new Date(0)]]),
+      set: new Set([1, 'two', new Date(0)]),
+      big: 12345678901234567890n
+    }
+
+    const result = roundTrip(value)
+    assert.deepStrictEqual(result, value)
+    assert(result.date instanceof Date)
+    assert(Buffer.isBuffer(result.buffer))
+    assert.strictEqual(result.buffer.toString(), 'hello')
+    assert.deepStrictEqual(result.map.get('a'), 1)
+    assert(result.set.has('two'))
+    assert.strictEqual(result.big, 12345678901234567890n)
+  })
+
+  it('should preserve invalid Dates', () => {
+    const result = roundTrip(new Date('nope'))
+    assert(result instanceof Date)
+    assert(Number.isNaN(result.getTime()))
+  })
+
+  it('should preserve Errors with their type, message and properties', () => {
+    const error = new TypeError('Bad input')
+    error.code = 'EBAD'
+    error.details = {at: new Date(0)}
+    const custom = new Error('Circuit open')
+    custom.name = 'CircuitOpenError'
+
+    const [typeError, customError] = roundTrip([error, custom])
+    assert(typeError instanceof TypeError)
+    assert.strictEqual(typeError.message, 'Bad input')
+    assert.strictEqual(typeError.code, 'EBAD')
+    assert.strictEqual(typeError.stack, error.stack)
+    assert(typeError.details.at instanceof Date)
+    assert(customError instanceof Error)
+    assert.strictEqual(customError.name, 'CircuitOpenError')
+  })
+
+  it('should escape objects which use the tag key', () => {
+    const value = {$type: 'Date', value: 'not a date'}
+    assert.deepStrictEqual(roundTrip(value), value)
+  })
+
+  it('should call toJSON on other objects, like JSON', () => {
+    const value = {toJSON: () => ({serialized: true})}
+    assert.deepStrictEqual(roundTrip({value}), {value: {serialized: true}})
+  })
+
+  it('should pass replacer and space through to JSON', () => {
+    assert.strictEqual(taggedJSON.stringify({a: 1}, null, 2), '{\n  "a": 1\n}')
+  })
+})
@@ -1,6 +1,6 @@
 import assert from 'node:assert/strict'
 import {describe, it} from 'node:test'
-import {DEP_REGEX, SERVICE_REGEX, AT_REGEX, BARE_DOLLAR_REGEX} from '../common.js'
+import {DEP_REGEX, TEMPLATE_REGEX, SERVICE_REGEX, AT_REGEX, BARE_DOLLAR_REGEX} from '../common.js'
 
 describe('Common Regex Tests', () => {
   describe('DEP_REGEX - matches dollar dependency patterns', () => {
@@ -48,6 +48,21 @@ describe('Common Regex Tests', () => {
     })
   })
 
+  describe('TEMPLATE_REGEX - matches interpolated references', () => {
+    it('should capture each $ and @ reference in a template', () => {
+      const references = (input) => Array.from(input.matchAll(TEMPLATE_REGEX), m => m[1])
+
+      assert.deepStrictEqual(references('profile_${$.customer.id}'), ['$.customer.id'])
+      assert.deepStrictEqual(references('${@.first} ${@@.last}'), ['@.first', '@@.last'])
+      assert.deepStrictEqual(references('${ $.a }-${$}'), ['$.a', '$'])
+
+      // only references are interpolated
+      assert.deepStrictEqual(references('${name}'), [])
+      assert.deepStrictEqual(references('$.foo'), [])
+      assert.deepStrictEqual(references('${$.unclosed'), [])
+    })
+  })
+
   describe('SERVICE_REGEX - matches service call format', () => {
     it('should match valid service call patterns', () => {
       // Valid matches
@@ -0,0 +1,164 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import query from '../query.js'
+import {CompileError} from '../compile.js'
+import util from '../services/util.js'
+import {math, test} from './test-services.js'
+
+describe('Compile Error Tests', () => {
+  const services = {util, math, test}
+
+  const compileIssues = (config) => {
+    try {
+      query.prepare(config)
+    } catch (error) {
+      assert.ok(error instanceof CompileError)
+      return error.issues
+    }
+    assert.fail('Expected a CompileError')
+  }
+
+  it('should report every problem in the queries at once', () => {
+    const issues = compileIssues({
+      services,
+      queries: {
+        missingService: ['nope:identity', {value: 1}],
+        missingMethod: ['test:nope', {value: 1}],
+        badDescriptor: ['not a service', {}],
+        valid: ['test:identity', {value: 1}]
+      }
+    })
+
+    assert.deepStrictEqual(issues, [
+      {path: 'queries.missingService', message: 'Service \'nope\' not found'},
+      {path: 'queries.missingMethod', message: 'Method \'nope\' not found on service \'test\''},
+      {
+        path: 'queries.badDescriptor',
+        message: 'Invalid service descriptor. Expected [\'service:action\', {...}] format. Got: ["not a service",{}]'
+      }
+    ])
+  })
+
+  it('should report descriptors which are not arrays', () => {
+    const issues = compileIssues({
+      services,
+      queries: {
+        number: 42,
+        empty: null
+      }
+    })
+
+    assert.deepStrictEqual(issues, [
+      {path: 'queries.number', message: 'Invalid service descriptor. Expected [\'service:action\', {...}] format. Got: 42'},
+      {path: 'queries.empty', message: 'Invalid service descriptor. Expected [\'service:action\', {...}] format. Got: null'}
+    ])
+  })
+
+  it('should give the path of invalid precheck and postcheck schemas', () => {
+    const issues = compileIssues({
+      services,
+      queries: {
+        checked: ['test:identity', {value: 1, precheck: {value: ['nope']}}],
+        chained: [
+          ['test:identity', {value: 1}],
+          ['@', 'test:identity', {postcheck: 'nope'}]
+        ]
+      }
+    })
+
+    assert.deepStrictEqual(issues.map(issue => issue.path), ['queries.checked[1].precheck', 'queries.chained[1][2].postcheck'])
+    assert.match(issues[0].message, /query precheck schema parse error/)
+    assert.match(issues[1].message, /query postcheck schema parse error/)
+  })
+
+  it('should give the path of problems in chains and nested services', () => {
+    const issues = compileIssues({
+      given: {items: [1, 2]},
+      services,
+      queries: {
+        report: [
+          ['$.given.items', 'util:map', {service: ['math:times10', {on: '@'}]}],
+          ['@', 'math:sum'],
+          ['@', 'util:map', {
+            service: [
+              ['@', 'math:add1'],
+              ['@', 'math:missing']
+            ]
+          }]
+        ],
+        handled: ['test:identity', {value: 1, onError: ['nope:log', {}]}]
+      }
+    })
+
+    assert.deepStrictEqual(issues, [
+      {path: 'queries.report[2][2].service[1]', message: 'Method \'missing\' not found on service \'math\''},
+      {path: 'queries.handled[1].onError', message: 'Service \'nope\' not found'}
+    ])
+  })
+
+  it('should include unknown references and cycles with compile errors', () => {
+    const issues = compileIssues({
+      services,
+      queries: {
+        profile: ['test:identity', {value: 1}],
+        summary: ['nope:identity', {value: '$.profiel'}],
+        a: ['test:identity', {value: '$.b'}],
+        b: ['test:identity', {value: '$.a'}]
+      }
+    })
+
+    assert.deepStrictEqual(issues.map(issue => issue.path), ['queries.summary', 'queries.summary', 'queries.a'])
+    assert.match(issues[0].message, /Service 'nope' not found/)
+    assert.match(issues[1].message, /Did you mean \$\.profile\?/)
+    assert.match(issues[2].message, /a -> b -> a/)
+  })
+
+  it('should report a problem in global settings once', () => {
+    const issues = compileIssues({
+      services,
+      settings: {retry: {count: 1, retryOn: ['nope:retryable', {}]}},
+      queries: {
+        a: ['test:identity', {value: 1}],
+        b: ['test:identity', {value: 2}]
+      }
+    })
+
+    assert.deepStrictEqual(issues, [{path: 'settings.retry.retryOn', message: 'Service \'nope\' not found'}])
+  })
+
+  it('should list every problem in the error message', async () => {
+    await assert.rejects(
+      query({
+        services,
+        queries: {
+          a: ['nope:identity', {}],
+          b: ['test:nope', {}]
+        }
+      }),
+      {
+        name: 'CompileError',
+        message: 'Found 2 problems in the queries:\n' +
+          'queries.a: Service \'nope\' not found\n' +
+          'queries.b: Method \'nope\' not found on service \'test\''
+      }
+    )
+  })
+
+  it('should report queries referencing given when no given is supplied', async () => {
+    const config = {
+      services,
+      queries: {
+        a: ['test:identity', {value: '$.given.x'}],
+        b: ['test:identity', {value: '$.a'}],
+        c: ['test:identity', {value: '$.given.y'}]
+      }
+    }
+
+    // given can still be supplied when the query is run
+    assert.doesNotThrow(() => query.prepare(config))
+    await assert.rejects(query(config), {
+      message: 'Query \'a\' references $.given, but no given data was supplied\n' +
+        'Query \'c\' references $.given, but no given data was supplied'
+    })
+  })
+})
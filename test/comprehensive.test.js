@@ -258,7 +258,7 @@ describe('MicroQL Comprehensive Tests', () => {
             result: ['test:increment', {value: '$.nonexistent'}]
           }
         }),
-        /Circular dependency detected at compile time: result/
+        /Query 'result' references \$\.nonexistent, but there is no query named 'nonexistent'/
       )
     })
 
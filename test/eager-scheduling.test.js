@@ -0,0 +1,80 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import query from '../query.js'
+
+describe('Eager Scheduling Tests', () => {
+  const createTimedService = (startTimes, startTime) => ({
+    async wait({name, delay}) {
+      startTimes[name] = Date.now() - startTime
+      await new Promise((resolve) => setTimeout(resolve, delay))
+      return name
+    }
+  })
+
+  it('should not wait for unrelated queries from an earlier stage', async () => {
+    const startTimes = {}
+    const startTime = Date.now()
+
+    const result = await query({
+      services: {timed: createTimedService(startTimes, startTime)},
+      queries: {
+        slow: ['timed:wait', {name: 'slow', delay: 200}],
+        fast: ['timed:wait', {name: 'fast', delay: 10}],
+        // stage 2, but only depends on the fast query
+        afterFast: ['timed:wait', {name: 'afterFast', delay: 10, after: '$.fast'}]
+      }
+    })
+
+    assert.deepStrictEqual(result, {slow: 'slow', fast: 'fast', afterFast: 'afterFast'})
+    assert(startTimes.afterFast < 100, `afterFast started at ${startTimes.afterFast}ms, expected < 100ms`)
+  })
+
+  it('should still wait for every dependency of a query', async () => {
+    const startTimes = {}
+    const startTime = Date.now()
+
+    await query({
+      services: {timed: createTimedService(startTimes, startTime)},
+      queries: {
+        slow: ['timed:wait', {name: 'slow', delay: 100}],
+        fast: ['timed:wait', {name: 'fast', delay: 10}],
+        afterBoth: ['timed:wait', {name: 'afterBoth', delay: 10, a: '$.fast', b: '$.slow'}]
+      }
+    })
+
+    assert(startTimes.afterBoth >= 100, `afterBoth started at ${startTimes.afterBoth}ms, expected >= 100ms`)
+  })
+
+  it('should stop launching queries after a failure', async () => {
+    let launched = false
+
+    await assert.rejects(
+      query({
+        services: {
+          svc: {
+            async fail() {
+              throw new Error('boom')
+            },
+            async slow() {
+              await new Promise((resolve) => setTimeout(resolve, 50))
+              return 'slow'
+            },
+            async later() {
+              launched = true
+              return 'later'
+            }
+          }
+        },
+        queries: {
+          failing: ['svc:fail', {}],
+          slow: ['svc:slow', {}],
+          later: ['svc:later', {after: '$.slow'}]
+        }
+      }),
+      /boom/
+    )
+
+    await new Promise((resolve) => setTimeout(resolve, 100))
+    assert.strictEqual(launched, false)
+  })
+})
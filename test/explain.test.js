@@ -0,0 +1,126 @@
+import assert from 'node:assert'
+import {existsSync} from 'node:fs'
+import {describe, it} from 'node:test'
+import query from '../query.js'
+import {formatExplanation} from '../explain.js'
+import util from '../services/util.js'
+
+describe('Explain Tests', () => {
+  const createApi = (calls) => {
+    const api = {
+      async getUser({id}) {
+        calls.push(id)
+        return {id}
+      }
+    }
+    api.getUser._argtypes = {id: {type: 'number'}}
+    return api
+  }
+
+  it('should describe stages and dependencies without calling services', () => {
+    const calls = []
+    const plan = query.explain({
+      services: {api: createApi(calls), util},
+      queries: {
+        user: ['api:getUser', {id: '$.given.id'}],
+        friend: ['api:getUser', {id: '$.user.id'}],
+        both: ['util:concat', {args: ['$.user', '$.friend']}]
+      }
+    })
+
+    assert.deepStrictEqual(plan.stages, [['user'], ['friend'], ['both']])
+    assert.deepStrictEqual(plan.queries.user.dependencies, ['given'])
+    assert.deepStrictEqual(plan.queries.both.dependencies.sort(), ['friend', 'user'])
+    assert.strictEqual(plan.queries.friend.calls[0].service, 'api:getUser')
+    assert.deepStrictEqual(calls, [])
+  })
+
+  it('should list the wrappers and their options for each call', () => {
+    const plan = query.explain({
+      services: {api: createApi([])},
+      settings: {
+        cache: {policies: {api: {ttl: '1h'}}},
+        rateLimit: {api: 5},
+        retry: {count: 2, backoff: 'exponential'},
+        timeout: 1000
+      },
+      queries: {
+        cached: ['api:getUser', {id: 1, cache: true}],
+        plain: ['api:getUser', {id: 2, cache: false, retry: 0, timeout: 0}]
+      }
+    })
+
+    const [cached] = plan.queries.cached.calls
+    assert.deepStrictEqual(cached.wrappers, ['args', 'errorHandling', 'cache', 'rateLimit', 'retry', 'timeout'])
+    assert.deepStrictEqual(cached.cache, {ttl: '1h'})
+    assert.strictEqual(cached.retry.count, 2)
+    assert.strictEqual(cached.retry.backoff, 'exponential')
+    assert.strictEqual(cached.timeout, 1000)
+    assert.deepStrictEqual(cached.rateLimits, ['api'])
+
+    const [plain] = plan.queries.plain.calls
+    assert.deepStrictEqual(plain.wrappers, ['args', 'errorHandling', 'rateLimit'])
+    assert.strictEqual(plain.cache, undefined)
+    assert.strictEqual(plain.retry, undefined)
+  })
+
+  it('should list each step of a chain and nested services', () => {
+    const plan = query.explain({
+      services: {api: createApi([]), util},
+      queries: {
+        users: [
+          ['util:template', {on: [1, 2], template: '@'}],
+          ['util:map', {service: ['api:getUser', {id: '@'}]}]
+        ]
+      }
+    })
+
+    const [template, map] = plan.queries.users.calls
+    assert.strictEqual(template.service, 'util:template')
+    assert.strictEqual(template.stepIndex, 0)
+    assert.strictEqual(map.service, 'util:map')
+    assert.strictEqual(map.stepIndex, 1)
+    assert.ok(map.wrappers.includes('validation'))
+    assert.deepStrictEqual(map.nested.service.map(call => call.service), ['api:getUser'])
+  })
+
+  it('should explain a prepared query', () => {
+    const prepared = query.prepare({
+      services: {api: createApi([])},
+      queries: {user: ['api:getUser', {id: '$.given.id'}]}
+    })
+    assert.deepStrictEqual(prepared.explain().stages, [['user']])
+  })
+
+  it('should format an explanation as text', () => {
+    const text = formatExplanation(query.explain({
+      services: {api: createApi([])},
+      settings: {timeout: 500},
+      queries: {
+        user: ['api:getUser', {id: '$.given.id'}],
+        friend: ['api:getUser', {id: '$.user.id'}]
+      }
+    }))
+
+    assert.strictEqual(text, [
+      'Stage 1:',
+      '  user <- given',
+      '    api:getUser (args, errorHandling, timeout) timeout: 500',
+      'Stage 2:',
+      '  friend <- user',
+      '    api:getUser (args, errorHandling, timeout) timeout: 500'
+    ].join('\n'))
+  })
+
+  it('should not create or clean up the cache directory', () => {
+    const config = {
+      services: {api: createApi([])},
+      settings: {cache: {baseDir: '.cache-test-explain'}},
+      queries: {user: ['api:getUser', {id: 1, cache: true}]}
+    }
+
+    query.explain(config)
+    query.graph(config)
+    assert(!existsSync('.cache-test-explain'))
+  })
+})
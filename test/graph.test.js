@@ -0,0 +1,94 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import query from '../query.js'
+import util from '../services/util.js'
+
+describe('Graph Export Tests', () => {
+  const calls = []
+  const api = {
+    async getUser({id}) {
+      calls.push(id)
+      return {id}
+    },
+    async fallback() {
+      return {}
+    }
+  }
+
+  const config = {
+    services: {api, util},
+    queries: {
+      user: ['api:getUser', {id: '$.given.id', onError: ['api:fallback', {}]}],
+      users: [
+        ['util:template', {on: [1, 2], template: '@'}],
+        ['util:map', {service: ['api:getUser', {id: '@'}]}]
+      ],
+      both: ['util:concat', {args: ['$.user', '$.users']}]
+    }
+  }
+
+  it('should build a JSON graph of queries, steps, nested services and edges', () => {
+    const graph = JSON.parse(query.graph(config, {format: 'json'}))
+
+    assert.deepStrictEqual(graph.stages, [['user', 'users'], ['both']])
+    assert.deepStrictEqual(graph.nodes.map(({id, type}) => [id, type]), [
+      ['given', 'given'],
+      ['user', 'query'],
+      ['user.onError[0]', 'service'],
+      ['users', 'chain'],
+      ['users[0]', 'step'],
+      ['users[1]', 'step'],
+      ['users[1].service[0]', 'service'],
+      ['both', 'query']
+    ])
+    assert.deepStrictEqual(graph.edges, [
+      {from: 'user', to: 'user.onError[0]', type: 'nested', label: 'onError'},
+      {from: 'given', to: 'user', type: 'data'},
+      {from: 'users[0]', to: 'users[1]', type: 'step'},
+      {from: 'users[1]', to: 'users[1].service[0]', type: 'nested', label: 'service'},
+      {from: 'user', to: 'both', type: 'data'},
+      {from: 'users', to: 'both', type: 'data'}
+    ])
+    assert.deepStrictEqual(calls, [])
+  })
+
+  it('should render Graphviz DOT with chains as clusters', () => {
+    const dot = query.graph(config)
+
+    assert.ok(dot.startsWith('digraph microql {'))
+    assert.ok(dot.includes('"user" [label="user\\napi:getUser"]'))
+    assert.ok(dot.includes('subgraph "cluster_users" {'))
+    assert.ok(dot.includes('"users[0]" -> "users[1]" [style=bold]'))
+    assert.ok(dot.includes('"users[1]" -> "users[1].service[0]" [style=dashed, label="service"]'))
+    assert.ok(dot.includes('"users[1]" -> "both" [ltail="cluster_users"]'))
+    assert.ok(dot.endsWith('}'))
+  })
+
+  it('should render a Mermaid flowchart with chains as subgraphs', () => {
+    const mermaid = query.graph(config, {format: 'mermaid'})
+    const lines = mermaid.split('\n')
+
+    assert.strictEqual(lines[0], 'flowchart LR')
+    assert.ok(lines.includes('  n0(["given"])'))
+    assert.ok(lines.includes('  n1["user<br/>api:getUser"]'))
+    assert.ok(lines.includes('  subgraph n3 ["users"]'))
+    assert.ok(lines.includes('  n1 -.->|"onError"| n2'))
+    assert.ok(lines.includes('  n4 ==> n5'))
+    assert.ok(lines.includes('  n3 --> n7'))
+  })
+
+  it('should render a prepared query', () => {
+    const prepared = query.prepare({
+      services: {api},
+      queries: {user: ['api:getUser', {id: 1}]}
+    })
+    assert.strictEqual(prepared.graph({format: 'mermaid'}), 'flowchart LR\n  n0["user<br/>api:getUser"]')
+  })
+
+  it('should reject unknown formats', () => {
+    assert.throws(
+      () => query.graph(config, {format: 'svg'}),
+      /Unknown graph format 'svg'. Expected 'dot', 'mermaid' or 'json'/
+    )
+  })
+})
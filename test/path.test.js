@@ -0,0 +1,140 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import query from '../query.js'
+import {getPath, parsePath} from '../path.js'
+import util from '../services/util.js'
+import {test} from './test-services.js'
+
+const data = {
+  orders: [
+    {id: 1, total: 5, status: 'open', items: [{id: 'a'}]},
+    {id: 2, total: 50, status: 'closed'},
+    {id: 3, total: 20, status: 'open', rush: true}
+  ],
+  users: {
+    ada: {email: 'ada@example.com', active: true},
+    alan: {email: 'alan@example.com', active: false}
+  }
+}
+
+describe('Path Tests', () => {
+  describe('getPath', () => {
+    it('should resolve plain paths like _.get', () => {
+      assert.strictEqual(getPath(data, 'orders[1].total'), 50)
+      assert.strictEqual(getPath(data, 'orders.0.items[0].id'), 'a')
+      assert.strictEqual(getPath(data, 'orders[9].id'), undefined)
+      assert.strictEqual(getPath(data, 'users["ada"].email'), 'ada@example.com')
+    })
+
+    it('should select every element with wildcards', () => {
+      assert.deepStrictEqual(getPath(data, 'orders[*].id'), [1, 2, 3])
+      assert.deepStrictEqual(getPath(data, 'orders.*.id'), [1, 2, 3])
+      assert.deepStrictEqual(getPath(data, 'users.*.email'), ['ada@example.com', 'alan@example.com'])
+      // missing values are left out
+      assert.deepStrictEqual(getPath(data, 'orders[*].rush'), [true])
+      assert.deepStrictEqual(getPath(data, 'missing[*].id'), [])
+    })
+
+    it('should slice arrays', () => {
+      assert.deepStrictEqual(getPath(data, 'orders[1:].id'), [2, 3])
+      assert.deepStrictEqual(getPath(data, 'orders[:2].id'), [1, 2])
+      assert.deepStrictEqual(getPath(data, 'orders[-2:].id'), [2, 3])
+      assert.deepStrictEqual(getPath(data, 'orders[::2].id'), [1, 3])
+      assert.deepStrictEqual(getPath(data, 'orders[*].items[-1].id'), ['a'])
+    })
+
+    it('should find values at any depth with recursive descent', () => {
+      assert.deepStrictEqual(getPath(data, '..id'), [1, 'a', 2, 3])
+      assert.deepStrictEqual(getPath(data, 'orders..id'), [1, 'a', 2, 3])
+      assert.deepStrictEqual(getPath(data, 'users..active'), [true, false])
+    })
+
+    it('should filter with predicates', () => {
+      assert.deepStrictEqual(getPath(data, 'users[?active].email'), ['ada@example.com'])
+      assert.deepStrictEqual(getPath(data, 'users[?!active].email'), ['alan@example.com'])
+      assert.deepStrictEqual(getPath(data, 'orders[?total > 10].id'), [2, 3])
+      assert.deepStrictEqual(getPath(data, 'orders[?total<=20].id'), [1, 3])
+      assert.deepStrictEqual(getPath(data, 'orders[?status == \'open\'].id'), [1, 3])
+      assert.deepStrictEqual(getPath(data, 'orders[?@.status != "open"].id'), [2])
+      assert.deepStrictEqual(getPath(data, 'orders[?rush == true].id'), [3])
+      assert.deepStrictEqual(getPath([1, 5, 10], '[?@ >= 5]'), [5, 10])
+    })
+
+    it('should reject invalid paths', () => {
+      assert.throws(() => parsePath('orders[?total ~ 1]'), /Invalid filter '\[\?total ~ 1\]'/)
+      assert.throws(() => parsePath('orders[?total > big]'), /Invalid value 'big' in filter/)
+      assert.throws(() => parsePath('orders[::0]'), /Expected a positive step/)
+      assert.throws(() => parsePath('orders[*'), /Unclosed \[ in path 'orders\[\*'/)
+    })
+  })
+
+  describe('References', () => {
+    it('should resolve wildcards and filters in $ references', async () => {
+      const result = await query({
+        given: data,
+        services: {util, test},
+        queries: {
+          orders: ['$.given.orders', 'test:identity'],
+          summary: ['util:template', {
+            ids: '$.orders[*].id',
+            openTotals: '$.orders[?status == \'open\'].total',
+            activeEmails: '$.given.users[?active].email',
+            label: 'orders ${$.orders[*].id}'
+          }]
+        },
+        select: 'summary'
+      })
+
+      assert.deepStrictEqual(result, {
+        ids: [1, 2, 3],
+        openTotals: [5, 20],
+        activeEmails: ['ada@example.com'],
+        label: 'orders [1,2,3]'
+      })
+    })
+
+    it('should resolve wildcards in @ references', async () => {
+      const result = await query({
+        given: data,
+        services: {util, test},
+        queries: {
+          itemIds: [
+            ['$.given.orders', 'test:identity'],
+            ['util:template', {ids: '@.*.id', allIds: '@..id'}]
+          ]
+        },
+        select: 'itemIds'
+      })
+
+      assert.deepStrictEqual(result, {ids: [1, 2, 3], allIds: [1, 'a', 2, 3]})
+    })
+
+    it('should depend on the root query of a path', () => {
+      const {queries} = query.explain({
+        services: {util},
+        queries: {
+          orders: ['util:template', {on: [1, 2]}],
+          ids: ['util:template', {ids: '$.orders[*].id', open: '${$.orders[?open].id}'}]
+        }
+      })
+      assert.deepStrictEqual(queries.ids.dependencies, ['orders'])
+    })
+
+    it('should report invalid paths as compile errors', () => {
+      assert.throws(
+        () => query.prepare({
+          services: {util},
+          queries: {
+            orders: ['util:template', {on: [1, 2]}],
+            ids: [['util:template', {ids: '$.orders[?total ~ 1].id'}]]
+          }
+        }),
+        (error) => {
+          assert.strictEqual(error.name, 'CompileError')
+          assert.deepStrictEqual(error.issues.map(issue => issue.path), ['queries.ids[0][1].ids'])
+          return true
+        }
+      )
+    })
+  })
+})
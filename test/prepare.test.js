@@ -0,0 +1,197 @@
+import assert from 'node:assert'
+import path from 'node:path'
+import {fileURLToPath} from 'node:url'
+import fs from 'fs-extra'
+import {describe, it, afterEach} from 'node:test'
+import query from '../query.js'
+import {queryVersions} from '../snapshot.js'
+import {execute} from '../execute.js'
+import util from '../services/util.js'
+import {math} from './test-services.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const testSnapshotPath = path.join(__dirname, 'test-prepare-snapshot.json')
+
+describe('Prepared Query Tests', () => {
+  afterEach(async () => {
+    await fs.remove(testSnapshotPath)
+  })
+
+  it('should run a prepared query with different given values', async () => {
+    const prepared = query.prepare({
+      services: {math},
+      queries: {
+        plusOne: ['$.given.value', 'math:add1'],
+        timesTen: ['$.plusOne', 'math:times10']
+      }
+    })
+
+    assert.deepStrictEqual(await prepared.run({given: {value: 1}, select: 'timesTen'}), 20)
+    assert.deepStrictEqual(await prepared.run({given: {value: 5}, select: 'timesTen'}), 60)
+    assert.deepStrictEqual(await prepared.run({given: {value: 0}}), {given: {value: 0}, plusOne: 1, timesTen: 10})
+  })
+
+  it('should default run options to the prepared config', async () => {
+    const prepared = query.prepare({
+      given: {value: 2},
+      services: {math},
+      queries: {
+        plusOne: ['$.given.value', 'math:add1']
+      },
+      select: 'plusOne'
+    })
+
+    assert.strictEqual(await prepared.run(), 3)
+    assert.strictEqual(await prepared.run({given: {value: 10}}), 11)
+  })
+
+  it('should compile services only once', async () => {
+    let descriptorReads = 0
+    const services = {
+      counter: {
+        async count({on}) { return on }
+      }
+    }
+    // every compile looks up the service argtypes
+    Object.defineProperty(services.counter.count, '_argtypes', {
+      get() {
+        descriptorReads++
+        return {on: {argOrder: 0}}
+      }
+    })
+
+    const prepared = query.prepare({
+      services,
+      queries: {
+        result: ['$.given.value', 'counter:count']
+      }
+    })
+    const readsAfterCompile = descriptorReads
+
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual(await prepared.run({given: {value: i}, select: 'result'}), i)
+    }
+    assert.strictEqual(descriptorReads, readsAfterCompile)
+  })
+
+  it('should share the cache between runs', async () => {
+    let callCount = 0
+    const services = {
+      counter: {
+        async increment({value}) {
+          callCount++
+          return value + 1
+        }
+      }
+    }
+
+    const prepared = query.prepare({
+      services,
+      settings: {cache: {configDir: '.cache-test-prepare'}},
+      queries: {
+        result: ['counter:increment', {value: '$.given.value', cache: true}]
+      },
+      select: 'result'
+    })
+
+    try {
+      assert.strictEqual(await prepared.run({given: {value: 1}}), 2)
+      assert.strictEqual(await prepared.run({given: {value: 1}}), 2)
+      assert.strictEqual(callCount, 1)
+    } finally {
+      await fs.remove('.cache-test-prepare')
+    }
+  })
+
+  it('should resolve onError handlers against the current run', async () => {
+    const handled = []
+    const services = {
+      failing: {
+        async fail({value}) { throw new Error(`failed ${value}`) }
+      },
+      recorder: {
+        async record({error, value}) {
+          handled.push({message: error.message, value})
+          return null
+        }
+      }
+    }
+
+    const prepared = query.prepare({
+      services,
+      queries: {
+        result: ['failing:fail', {
+          value: '$.given.value',
+          onError: ['recorder:record', {error: '@', value: '$.given.value'}],
+          ignoreErrors: true
+        }]
+      }
+    })
+
+    await prepared.run({given: {value: 'first'}})
+    await prepared.run({given: {value: 'second'}})
+
+    assert.deepStrictEqual(handled.map(h => h.value), ['first', 'second'])
+    assert.match(handled[1].message, /failed second/)
+  })
+
+  it('should not leak snapshot results into later runs', async () => {
+    const config = {
+      services: {util, math},
+      queries: {
+        plusOne: ['$.given.value', 'math:add1']
+      },
+      select: 'plusOne'
+    }
+    const prepared = query.prepare(config)
+
+    // snapshot results are only restored for matching query versions
+    const versions = queryVersions(prepared.queryTree.queries, config.queries, {value: 1})
+    await fs.writeJson(testSnapshotPath, {timestamp: new Date().toISOString(), results: {plusOne: 100}, versions})
+
+    assert.strictEqual(await prepared.run({given: {value: 1}, snapshot: testSnapshotPath}), 100)
+    assert.strictEqual(await prepared.run({given: {value: 1}}), 2)
+  })
+
+  it('should stream results from a prepared query', async () => {
+    const prepared = query.prepare({
+      services: {math},
+      queries: {
+        plusOne: ['$.given.value', 'math:add1']
+      }
+    })
+
+    const events = []
+    for await (const event of prepared.stream({given: {value: 1}})) events.push(event)
+
+    assert.deepStrictEqual(events[0], {queryName: 'plusOne', value: 2})
+    assert.deepStrictEqual(events[1].summary.results, {given: {value: 1}, plusOne: 2})
+  })
+
+  it('should reject a run without the given data its queries reference', async () => {
+    const prepared = query.prepare({
+      services: {math},
+      queries: {
+        plusOne: ['$.given.value', 'math:add1'],
+        constant: ['math:add1', {on: 1}]
+      }
+    })
+
+    await assert.rejects(prepared.run(), {
+      message: 'Query \'plusOne\' references $.given, but no given data was supplied'
+    })
+    assert.strictEqual(await prepared.run({given: {value: 1}, select: 'plusOne'}), 2)
+  })
+
+  it('should not wait forever on queries which can never run', async () => {
+    const {queryTree, plan} = query.prepare({
+      services: {math},
+      queries: {
+        plusOne: ['$.given.value', 'math:add1'],
+        timesTen: ['$.plusOne', 'math:times10']
+      }
+    })
+
+    await assert.rejects(execute(plan, queryTree), /Query 'plusOne' references \$\.given, but no given data was supplied/)
+  })
+})
@@ -359,4 +359,127 @@ describe('Rate Limit Tests', () => {
       assert(callTimes[2] >= 200, 'Third call should be rate limited')
     })
   })
-})
\ No newline at end of file
+
+  describe('Rate Limit Policies', () => {
+    // records start times and the maximum number of calls in flight
+    const createTracker = (duration = 0) => {
+      const tracker = {starts: [], inFlight: 0, maxInFlight: 0}
+      const startTime = Date.now()
+      const call = async ({id}) => {
+        tracker.starts.push(Date.now() - startTime)
+        tracker.inFlight++
+        tracker.maxInFlight = Math.max(tracker.maxInFlight, tracker.inFlight)
+        await new Promise((resolve) => setTimeout(resolve, duration))
+        tracker.inFlight--
+        return id
+      }
+      tracker.service = {search: call, fetch: call}
+      return tracker
+    }
+
+    const queriesFor = (serviceAction, count) => Object.fromEntries(
+      Array.from({length: count}, (v, i) => [`q${i}`, [serviceAction, {id: i}]])
+    )
+
+    it('should not hold the queue for calls aborted while waiting', async () => {
+      const services = {
+        svc: {async echo({on}) { return on }}
+      }
+      services.svc.echo._argtypes = {on: {argOrder: 0}}
+      const prepared = query.prepare({
+        services,
+        settings: {rateLimit: {svc: 200}},
+        queries: {
+          result: ['$.given.items', 'util:map', {service: ['svc:echo', {on: '@'}]}]
+        },
+        select: 'result'
+      })
+
+      const controller = new AbortController()
+      setTimeout(() => controller.abort(new Error('Stopped')), 50)
+      await assert.rejects(
+        prepared.run({given: {items: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]}, signal: controller.signal}),
+        /Stopped/
+      )
+
+      // only the call which had started holds its slot, for the rest of its interval
+      const start = Date.now()
+      assert.deepStrictEqual(await prepared.run({given: {items: [1]}}), [1])
+      const elapsed = Date.now() - start
+      assert(elapsed < 400, `Expected the next run to wait for one interval at most, took ${elapsed}ms`)
+    })
+
+    it('should run up to maxConcurrent calls in parallel', async () => {
+      const tracker = createTracker(30)
+
+      const result = await query({
+        services: {api: tracker.service},
+        settings: {rateLimit: {api: {maxConcurrent: 2}}},
+        queries: queriesFor('api:search', 6)
+      })
+
+      assert.strictEqual(Object.keys(result).length, 6)
+      assert.strictEqual(tracker.maxInFlight, 2)
+    })
+
+    it('should allow a burst and then refill tokens at requestsPerSecond', async () => {
+      const tracker = createTracker()
+
+      await query({
+        services: {api: tracker.service},
+        settings: {rateLimit: {api: {requestsPerSecond: 20, burst: 3}}},
+        queries: queriesFor('api:search', 5)
+      })
+
+      const starts = tracker.starts.sort((a, b) => a - b)
+      // the first 3 calls go immediately, the rest wait for tokens (one every 50ms)
+      assert(starts[2] < 25, `third call at ${starts[2]}ms, expected immediately`)
+      assert(starts[3] >= 40, `fourth call at ${starts[3]}ms, expected >= 40ms`)
+      assert(starts[4] >= 90, `fifth call at ${starts[4]}ms, expected >= 90ms`)
+    })
+
+    it('should combine a token bucket with maxConcurrent', async () => {
+      const tracker = createTracker(40)
+
+      await query({
+        services: {api: tracker.service},
+        settings: {rateLimit: {api: {requestsPerSecond: 1000, burst: 10, maxConcurrent: 2}}},
+        queries: queriesFor('api:search', 4)
+      })
+
+      assert.strictEqual(tracker.maxInFlight, 2)
+    })
+
+    it('should apply per-action limits only to that action', async () => {
+      const tracker = createTracker()
+
+      await query({
+        services: {api: tracker.service},
+        settings: {rateLimit: {'api:search': 50}},
+        queries: {
+          search1: ['api:search', {id: 1}],
+          search2: ['api:search', {id: 2}],
+          fetch1: ['api:fetch', {id: 3}],
+          fetch2: ['api:fetch', {id: 4}]
+        }
+      })
+
+      const starts = tracker.starts.sort((a, b) => a - b)
+      // both fetches and the first search start immediately
+      assert(starts[2] < 25, `third call at ${starts[2]}ms, expected immediately`)
+      assert(starts[3] >= 45, `second search at ${starts[3]}ms, expected >= 45ms`)
+    })
+
+    it('should apply both action and service limits', async () => {
+      const tracker = createTracker(20)
+
+      await query({
+        services: {api: tracker.service},
+        settings: {rateLimit: {'api:search': {maxConcurrent: 3}, api: {maxConcurrent: 2}}},
+        queries: queriesFor('api:search', 6)
+      })
+
+      assert.strictEqual(tracker.maxInFlight, 2)
+    })
+  })
+})
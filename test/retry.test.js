@@ -228,4 +228,131 @@ describe('Retry Tests', () => {
       assert.strictEqual(callCount, 2)
     })
   })
+
+  describe('Retry Options', () => {
+    // fails with the given errors in order, then succeeds
+    const createFailing = (errors) => {
+      const calls = []
+      const service = {
+        async call() {
+          calls.push(Date.now())
+          const error = errors[calls.length - 1]
+          if (error) throw error
+          return 'ok'
+        }
+      }
+      return {service, calls}
+    }
+
+    const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), {status})
+
+    it('should accept an options object with count', async () => {
+      const {service, calls} = createFailing([new Error('one'), new Error('two')])
+
+      const result = await query({
+        services: {flaky: service},
+        queries: {result: ['flaky:call', {retry: {count: 2}}]},
+        select: 'result'
+      })
+
+      assert.strictEqual(result, 'ok')
+      assert.strictEqual(calls.length, 3)
+    })
+
+    it('should wait with exponential backoff between attempts', async () => {
+      const {service, calls} = createFailing([new Error('one'), new Error('two')])
+
+      await query({
+        services: {flaky: service},
+        queries: {result: ['flaky:call', {retry: {count: 2, backoff: 'exponential', baseDelay: 20}}]}
+      })
+
+      const [first, second, third] = calls
+      assert(second - first >= 18, `first retry after ${second - first}ms, expected ~20ms`)
+      assert(third - second >= 38, `second retry after ${third - second}ms, expected ~40ms`)
+    })
+
+    it('should cap the delay at maxDelay', async () => {
+      const {service, calls} = createFailing([new Error('one'), new Error('two')])
+
+      await query({
+        services: {flaky: service},
+        queries: {result: ['flaky:call', {retry: {count: 2, backoff: 'exponential', baseDelay: 20, maxDelay: 25}}]}
+      })
+
+      assert(calls[2] - calls[1] < 38, `second retry after ${calls[2] - calls[1]}ms, expected <= 25ms`)
+    })
+
+    it('should keep jittered delays within the backoff delay', async () => {
+      const {service, calls} = createFailing([new Error('one'), new Error('two')])
+
+      await query({
+        services: {flaky: service},
+        queries: {result: ['flaky:call', {retry: {count: 2, backoff: 'fixed', baseDelay: 30, jitter: true}}]}
+      })
+
+      assert(calls[1] - calls[0] < 45)
+      assert(calls[2] - calls[1] < 45)
+    })
+
+    it('should only retry errors matching retryOn codes', async () => {
+      const retryable = createFailing([httpError(503), Object.assign(new Error('reset'), {code: 'ECONNRESET'})])
+      const result = await query({
+        services: {flaky: retryable.service},
+        queries: {result: ['flaky:call', {retry: {count: 3, retryOn: ['5xx', 429, 'ECONNRESET']}}]},
+        select: 'result'
+      })
+      assert.strictEqual(result, 'ok')
+      assert.strictEqual(retryable.calls.length, 3)
+
+      const notFound = createFailing([httpError(404)])
+      await assert.rejects(
+        query({
+          services: {flaky: notFound.service},
+          queries: {result: ['flaky:call', {retry: {count: 3, retryOn: ['5xx', 429]}}]}
+        }),
+        /HTTP 404/
+      )
+      assert.strictEqual(notFound.calls.length, 1)
+    })
+
+    it('should use a retryOn service to decide whether to retry', async () => {
+      const {service, calls} = createFailing([new Error('temporary'), new Error('fatal')])
+      const services = {
+        flaky: service,
+        errors: {
+          async isTemporary({error}) {
+            return error.message.includes('temporary')
+          }
+        }
+      }
+
+      await assert.rejects(
+        query({
+          services,
+          queries: {
+            result: ['flaky:call', {retry: {count: 5, retryOn: ['errors:isTemporary', {error: '@'}]}}]
+          }
+        }),
+        /fatal/
+      )
+
+      assert.strictEqual(calls.length, 2)
+    })
+
+    it('should apply retry options from global settings', async () => {
+      const {service, calls} = createFailing([httpError(500), httpError(400)])
+
+      await assert.rejects(
+        query({
+          settings: {retry: {count: 3, retryOn: ['5xx']}},
+          services: {flaky: service},
+          queries: {result: ['flaky:call', {}]}
+        }),
+        /HTTP 400/
+      )
+
+      assert.strictEqual(calls.length, 2)
+    })
+  })
 })
@@ -182,4 +182,24 @@ describe('Settings Override Tests', () => {
     // Should work without errors
     assert(capturedOutput.length > 0, 'Should have captured output')
   })
+
+  it('should pass functions in settings to the service as they are', async () => {
+    const formatter = {
+      async format({on, settings}) {
+        return settings.format(on)
+      }
+    }
+    formatter.format._argtypes = {on: {argOrder: 0}, settings: {type: 'settings'}}
+
+    const result = await query({
+      services: {formatter},
+      settings: {format: (value) => `<${value}>`},
+      queries: {
+        result: ['formatter:format', {on: 1}]
+      },
+      select: 'result'
+    })
+
+    assert.strictEqual(result, '<1>')
+  })
 })
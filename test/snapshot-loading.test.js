@@ -70,6 +70,160 @@ describe('Snapshot Loading Tests', () => {
     })
   })
 
+  it('should preserve Dates, Maps and Errors through snapshots', async () => {
+    let loads = 0
+    const services = {
+      records: {
+        async load() {
+          loads++
+          return {updated: new Date('2024-01-01T00:00:00Z'), tags: new Map([['a', 1]]), error: new RangeError('Too far')}
+        }
+      }
+    }
+    await query({
+      services,
+      queries: {
+        loaded: ['records:load', {}],
+        save: ['$.loaded', 'util:snapshot', {capture: '$', out: testSnapshotPath}]
+      }
+    })
+
+    const result = await query({
+      snapshot: testSnapshotPath,
+      services,
+      queries: {
+        loaded: ['records:load', {}],
+        updated: ['util:template', {when: '$.loaded.updated', tags: '$.loaded.tags'}]
+      }
+    })
+
+    assert.strictEqual(loads, 1, 'loaded should be restored from the snapshot')
+    assert(result.loaded.updated instanceof Date)
+    assert(result.loaded.tags instanceof Map)
+    assert(result.loaded.error instanceof RangeError)
+    assert.strictEqual(result.updated.tags.get('a'), 1)
+  })
+
+  it('should write plain JSON snapshots with settings.codec: JSON', async () => {
+    await query({
+      given: {when: new Date('2024-01-01T00:00:00Z')},
+      services: {util},
+      settings: {codec: JSON},
+      queries: {
+        save: ['$.given', 'util:snapshot', {capture: '$', out: testSnapshotPath}]
+      }
+    })
+
+    const snapshotData = JSON.parse(await fs.readFile(testSnapshotPath, 'utf8'))
+    assert.strictEqual(snapshotData.results.given.when, '2024-01-01T00:00:00.000Z')
+  })
+
+  it('should write snapshots with a codec made of plain functions', async () => {
+    const codec = {
+      stringify: (value, replacer, space) => JSON.stringify(value, replacer, space),
+      parse: (text) => JSON.parse(text)
+    }
+
+    await query({
+      given: {a: 1},
+      services: {util},
+      settings: {codec},
+      queries: {
+        x: ['util:template', {on: 1}],
+        save: ['$.x', 'util:snapshot', {capture: '$', out: testSnapshotPath}]
+      }
+    })
+
+    const snapshotData = JSON.parse(await fs.readFile(testSnapshotPath, 'utf8'))
+    assert.deepStrictEqual(Object.keys(snapshotData), ['timestamp', 'results', 'versions'])
+    assert.deepStrictEqual(snapshotData.results.given, {a: 1})
+  })
+
+  describe('Snapshot Versions', () => {
+    const createPipeline = (calls) => ({
+      records: {
+        async load({source}) {
+          calls.push(`load:${source}`)
+          return [1, 2, 3]
+        },
+        async scale({values, factor}) {
+          calls.push(`scale:${factor}`)
+          return values.map(v => v * factor)
+        },
+        async label({name}) {
+          calls.push('label')
+          return name.toUpperCase()
+        }
+      }
+    })
+
+    const pipeline = (services, {source = 'db', factor = 2, given = {name: 'report'}} = {}) => ({
+      given,
+      services,
+      settings: {trace: true},
+      snapshot: testSnapshotPath,
+      queries: {
+        loaded: ['records:load', {source}],
+        scaled: ['records:scale', {values: '$.loaded', factor}],
+        title: ['records:label', {name: '$.given.name'}],
+        summary: ['records:label', {name: '$.given.name', after: ['$.scaled', '$.title']}],
+        save: ['$.summary', 'util:snapshot', {capture: '$', out: testSnapshotPath}]
+      },
+      select: ['scaled', 'title']
+    })
+
+    it('should restore every query when nothing changed', async () => {
+      const calls = []
+      const services = createPipeline(calls)
+      await query(pipeline(services))
+      calls.length = 0
+
+      const result = await query(pipeline(services))
+      assert.deepStrictEqual(result.scaled, [2, 4, 6])
+      assert.deepStrictEqual(result._trace.snapshot.skipped, [])
+      assert.deepStrictEqual(result._trace.snapshot.restored.sort(), ['loaded', 'scaled', 'summary', 'title'])
+      assert(!calls.includes('load:db'))
+    })
+
+    it('should re-run edited queries and everything depending on them', async () => {
+      const calls = []
+      const services = createPipeline(calls)
+      await query(pipeline(services))
+      calls.length = 0
+
+      const result = await query(pipeline(services, {factor: 10}))
+      assert.deepStrictEqual(result.scaled, [10, 20, 30])
+      assert.deepStrictEqual(result._trace.snapshot.restored.sort(), ['loaded', 'title'])
+      assert.deepStrictEqual(result._trace.snapshot.skipped, [
+        {queryName: 'scaled', reason: 'changed'},
+        {queryName: 'summary', reason: 'changed'}
+      ])
+      assert(!calls.includes('load:db'), 'unchanged upstream queries are restored')
+      assert(calls.includes('scale:10'))
+    })
+
+    it('should re-run queries which depend on a changed given', async () => {
+      const calls = []
+      const services = createPipeline(calls)
+      await query(pipeline(services))
+      calls.length = 0
+
+      const result = await query(pipeline(services, {given: {name: 'other'}}))
+      assert.strictEqual(result.title, 'OTHER')
+      assert.deepStrictEqual(result._trace.snapshot.restored.sort(), ['loaded', 'scaled'])
+      assert.deepStrictEqual(result._trace.snapshot.skipped.map(s => s.queryName).sort(), ['summary', 'title'])
+    })
+
+    it('should skip entries of snapshots without versions', async () => {
+      await fs.writeJson(testSnapshotPath, {timestamp: new Date().toISOString(), results: {loaded: [7]}})
+      const calls = []
+
+      const result = await query(pipeline(createPipeline(calls)))
+      assert.deepStrictEqual(result.scaled, [2, 4, 6])
+      assert.deepStrictEqual(result._trace.snapshot.skipped, [{queryName: 'loaded', reason: 'unversioned'}])
+    })
+  })
+
   it('should handle missing snapshot files gracefully', async () => {
     const nonExistentPath = path.join(__dirname, 'non-existent-snapshot.json')
 
@@ -0,0 +1,146 @@
+import assert from 'node:assert'
+import {describe, it, afterEach} from 'node:test'
+import {rm, readdir} from 'fs/promises'
+import {existsSync} from 'fs'
+import query from '../query.js'
+import Cache from '../cache.js'
+import {FileStore, MemoryStore, RedisStore, createStore} from '../stores.js'
+
+const CACHEDIR = '.cache-test-stores'
+
+// Minimal stand-in for a Redis client, backed by a Map
+const createFakeRedis = () => {
+  const data = new Map()
+  return {
+    data,
+    async get(key) { return data.has(key) ? data.get(key) : null },
+    async set(key, value) { data.set(key, value) },
+    async del(key) { data.delete(key) },
+    async keys(pattern) {
+      const prefix = pattern.replace(/\*$/, '')
+      return [...data.keys()].filter(key => key.startsWith(prefix))
+    }
+  }
+}
+
+describe('Cache Store Tests', () => {
+  afterEach(async () => {
+    await rm(CACHEDIR, {recursive: true, force: true})
+  })
+
+  const storeFactories = {
+    FileStore: () => new FileStore({baseDir: CACHEDIR}),
+    MemoryStore: () => new MemoryStore(),
+    RedisStore: () => new RedisStore({client: createFakeRedis()})
+  }
+
+  for (const [name, createTestStore] of Object.entries(storeFactories)) {
+    describe(name, () => {
+      it('should get, set, list and delete entries', async () => {
+        const store = createTestStore()
+
+        assert.strictEqual(await store.get('svc-action/abc'), undefined)
+        await store.set('svc-action/abc', '{"result":1}')
+        await store.set('svc-other/def', '{"result":2}')
+        await store.touch('svc-action/abc')
+
+        assert.strictEqual(await store.get('svc-action/abc'), '{"result":1}')
+        const keys = (await store.list()).map(entry => entry.key).sort()
+        assert.deepStrictEqual(keys, ['svc-action/abc', 'svc-other/def'])
+
+        await store.delete('svc-action/abc')
+        assert.strictEqual(await store.get('svc-action/abc'), undefined)
+        assert.deepStrictEqual((await store.list()).map(entry => entry.key), ['svc-other/def'])
+      })
+    })
+  }
+
+  it('should report access times from file and memory stores', async () => {
+    for (const store of [new FileStore({baseDir: CACHEDIR}), new MemoryStore()]) {
+      const before = Date.now() - 1000
+      await store.set('svc-action/abc', '{}')
+      const [entry] = await store.list()
+      assert(entry.accessed >= before, `${store.constructor.name} accessed time`)
+    }
+  })
+
+  it('should create stores from cache config', () => {
+    const custom = new MemoryStore()
+    assert(createStore() instanceof FileStore)
+    assert(createStore({store: 'memory'}) instanceof MemoryStore)
+    assert.strictEqual(createStore({store: custom}), custom)
+    assert.throws(() => createStore({store: 'nope'}), /Unknown cache store: nope/)
+  })
+
+  it('should require a client for RedisStore', () => {
+    assert.throws(() => new RedisStore({}), /RedisStore requires a client/)
+  })
+
+  it('should cache query results in memory without touching disk', async () => {
+    let callCount = 0
+    const services = {
+      counter: {
+        async increment({value}) {
+          callCount++
+          return value + 1
+        }
+      }
+    }
+
+    const prepared = query.prepare({
+      services,
+      settings: {cache: {store: 'memory', configDir: CACHEDIR}},
+      queries: {
+        result: ['counter:increment', {value: '$.given.value', cache: true}]
+      },
+      select: 'result'
+    })
+
+    assert.strictEqual(await prepared.run({given: {value: 1}}), 2)
+    assert.strictEqual(await prepared.run({given: {value: 1}}), 2)
+    assert.strictEqual(callCount, 1)
+    assert(!existsSync(CACHEDIR) || (await readdir(CACHEDIR)).length === 0)
+  })
+
+  it('should share cached results between workers through a shared store', async () => {
+    const client = createFakeRedis()
+    let callCount = 0
+    const services = {
+      counter: {
+        async increment({value}) {
+          callCount++
+          return value + 1
+        }
+      }
+    }
+
+    // each "worker" has its own query and cache, but they share the Redis client
+    const runWorker = () => query({
+      given: {value: 1},
+      services,
+      settings: {cache: {store: new RedisStore({client})}},
+      queries: {
+        result: ['counter:increment', {value: '$.given.value', cache: true}]
+      },
+      select: 'result'
+    })
+
+    assert.strictEqual(await runWorker(), 2)
+    assert.strictEqual(await runWorker(), 2)
+    assert.strictEqual(callCount, 1)
+    assert.strictEqual(client.data.size, 1)
+    assert.match([...client.data.keys()][0], /^microql:cache:counter-increment\//)
+  })
+
+  it('should clean up expired entries through the store', async () => {
+    const store = new MemoryStore()
+    const cache = new Cache({store})
+    await store.set('svc-action/old', JSON.stringify({created: new Date(Date.now() - 7200000).toISOString(), result: 1}))
+    await store.set('svc-action/new', JSON.stringify({created: new Date().toISOString(), result: 2}))
+    await store.set('svc-action/broken', 'not json')
+
+    await cache.cleanupExpired('1h')
+
+    assert.deepStrictEqual((await store.list()).map(entry => entry.key), ['svc-action/new'])
+  })
+})
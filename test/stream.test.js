@@ -0,0 +1,107 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import query from '../query.js'
+
+describe('Query Stream Tests', () => {
+  const delay = {
+    async wait({value, ms}) {
+      await new Promise((resolve) => setTimeout(resolve, ms))
+      return value
+    }
+  }
+
+  it('should yield each query as it completes, then a summary', async () => {
+    const events = []
+
+    for await (const event of query.stream({
+      given: {value: 1},
+      services: {delay},
+      queries: {
+        slow: ['delay:wait', {value: 'slow', ms: 60}],
+        fast: ['delay:wait', {value: 'fast', ms: 5}],
+        afterFast: ['delay:wait', {value: '$.fast', ms: 5}]
+      }
+    })) {
+      events.push(event)
+    }
+
+    assert.deepStrictEqual(events.slice(0, 3), [
+      {queryName: 'fast', value: 'fast'},
+      {queryName: 'afterFast', value: 'fast'},
+      {queryName: 'slow', value: 'slow'}
+    ])
+
+    const {summary} = events[3]
+    assert.deepStrictEqual(summary.results, {given: {value: 1}, slow: 'slow', fast: 'fast', afterFast: 'fast'})
+    assert(summary.duration >= 60)
+  })
+
+  it('should apply select to the summary results', async () => {
+    const events = []
+    for await (const event of query.stream({
+      services: {delay},
+      queries: {
+        a: ['delay:wait', {value: 'a', ms: 1}],
+        b: ['delay:wait', {value: 'b', ms: 1}]
+      },
+      select: 'b'
+    })) {
+      events.push(event)
+    }
+
+    assert.strictEqual(events.length, 3)
+    assert.strictEqual(events[2].summary.results, 'b')
+  })
+
+  it('should throw query errors from the iterator', async () => {
+    const stream = query.stream({
+      services: {
+        delay,
+        failing: {async fail() { throw new Error('stream failure') }}
+      },
+      queries: {
+        ok: ['delay:wait', {value: 'ok', ms: 1}],
+        failing: ['failing:fail', {}],
+        after: ['delay:wait', {value: '$.ok', ms: 50}]
+      }
+    })
+
+    const received = []
+    await assert.rejects(async () => {
+      for await (const event of stream) received.push(event.queryName)
+    }, /stream failure/)
+
+    assert(!received.includes('after'))
+  })
+
+  it('should abort remaining service calls when the consumer stops early', async () => {
+    let aborted = false
+    const services = {
+      delay,
+      waiter: {
+        async wait({signal}) {
+          return new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+              aborted = true
+              reject(signal.reason)
+            })
+          })
+        }
+      }
+    }
+    services.waiter.wait._argtypes = {signal: {type: 'signal'}}
+
+    for await (const event of query.stream({
+      services,
+      queries: {
+        first: ['delay:wait', {value: 'first', ms: 1}],
+        forever: ['waiter:wait', {}]
+      }
+    })) {
+      assert.strictEqual(event.queryName, 'first')
+      break
+    }
+
+    assert.strictEqual(aborted, true)
+  })
+})
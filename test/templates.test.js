@@ -0,0 +1,87 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import query from '../query.js'
+import util from '../services/util.js'
+
+describe('String Template Tests', () => {
+  const store = {
+    async save({key, data}) {
+      return {key, data}
+    }
+  }
+
+  it('should interpolate $ references into a string', async () => {
+    const result = await query({
+      given: {customer: {id: 'c1', name: 'Ada'}},
+      services: {store},
+      queries: {
+        profile: ['store:save', {key: 'profile_${$.given.customer.id}', data: '${$.given.customer.name} (${$.given.customer.id})'}]
+      },
+      select: 'profile'
+    })
+
+    assert.deepStrictEqual(result, {key: 'profile_c1', data: 'Ada (c1)'})
+  })
+
+  it('should depend on every query referenced in a template', async () => {
+    const slow = {
+      async value({on}) {
+        await new Promise(resolve => setTimeout(resolve, 10))
+        return on
+      }
+    }
+    const config = () => ({
+      services: {slow, store},
+      queries: {
+        first: ['slow:value', {on: 'a'}],
+        second: ['slow:value', {on: 'b'}],
+        combined: ['store:save', {key: '${$.first}-${$.second}'}]
+      }
+    })
+
+    const {queries} = query.explain(config())
+    assert.deepStrictEqual(queries.combined.dependencies.sort(), ['first', 'second'])
+
+    const result = await query({...config(), select: 'combined'})
+    assert.deepStrictEqual(result, {key: 'a-b', data: undefined})
+  })
+
+  it('should interpolate @ references from the current context', async () => {
+    const result = await query({
+      given: {people: [{first: 'Ada', last: 'Lovelace'}, {first: 'Alan', last: 'Turing'}]},
+      services: {util},
+      queries: {
+        names: ['$.given.people', 'util:map', {service: ['util:template', {name: '${@.first} ${@.last}'}]}]
+      },
+      select: 'names'
+    })
+
+    assert.deepStrictEqual(result, [{name: 'Ada Lovelace'}, {name: 'Alan Turing'}])
+  })
+
+  it('should interpolate objects as JSON and missing values as empty strings', async () => {
+    const result = await query({
+      given: {tags: ['a', 'b'], count: 3, nothing: null},
+      services: {store},
+      queries: {
+        saved: ['store:save', {key: 'tags=${$.given.tags} count=${$.given.count} none=${$.given.nothing}${$.given.missing}'}]
+      },
+      select: 'saved'
+    })
+
+    assert.strictEqual(result.key, 'tags=["a","b"] count=3 none=')
+  })
+
+  it('should leave plain text and non-reference templates unchanged', async () => {
+    const result = await query({
+      given: {id: 1},
+      services: {store},
+      queries: {
+        saved: ['store:save', {key: 'profile_$.given.id', data: 'Hello ${name}'}]
+      },
+      select: 'saved'
+    })
+
+    assert.deepStrictEqual(result, {key: 'profile_$.given.id', data: 'Hello ${name}'})
+  })
+})
@@ -0,0 +1,141 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import fs from 'fs-extra'
+import query from '../query.js'
+import util from '../services/util.js'
+
+describe('Execution Trace Tests', () => {
+  const delay = {
+    async wait({value, ms = 1}) {
+      await new Promise((resolve) => setTimeout(resolve, ms))
+      return value
+    }
+  }
+
+  it('should not include a trace unless requested', async () => {
+    const result = await query({
+      services: {delay},
+      queries: {a: ['delay:wait', {value: 'a'}]}
+    })
+
+    assert.deepStrictEqual(result, {a: 'a'})
+  })
+
+  it('should record each service call with timings', async () => {
+    const result = await query({
+      settings: {trace: true},
+      services: {delay},
+      queries: {
+        slow: ['delay:wait', {value: 'slow', ms: 30}],
+        after: ['delay:wait', {value: '$.slow'}]
+      }
+    })
+
+    const {_trace} = result
+    assert.strictEqual(result.after, 'slow')
+    assert.strictEqual(_trace.calls.length, 2)
+
+    const [slow, after] = _trace.calls
+    assert(_trace.duration >= after.end)
+    assert.strictEqual(slow.queryName, 'slow')
+    assert.strictEqual(slow.serviceName, 'delay')
+    assert.strictEqual(slow.action, 'wait')
+    assert.strictEqual(slow.attempts, 1)
+    assert.strictEqual(slow.cacheHit, false)
+    assert.strictEqual(slow.duration, slow.end - slow.start)
+    assert(after.start >= slow.end)
+  })
+
+  it('should record chain steps and nested service calls', async () => {
+    const result = await query({
+      settings: {trace: true},
+      given: {items: [1, 2]},
+      services: {util, delay},
+      queries: {
+        chain: [
+          ['delay:wait', {value: '$.given.items'}],
+          ['@', 'util:map', {service: ['delay:wait', {value: '@'}]}]
+        ]
+      },
+      select: ['chain']
+    })
+
+    assert.deepStrictEqual(result.chain, [1, 2])
+    const calls = result._trace.calls.map(c => [c.queryName, c.serviceName, c.action, c.stepIndex])
+    assert.deepStrictEqual(calls, [
+      ['chain[0]', 'delay', 'wait', 0],
+      ['chain[1]', 'util', 'map', 1],
+      ['chain[1]', 'delay', 'wait', undefined],
+      ['chain[1]', 'delay', 'wait', undefined]
+    ])
+  })
+
+  it('should record retry attempts and errors', async () => {
+    let calls = 0
+    const result = await query({
+      settings: {trace: true},
+      services: {
+        flaky: {
+          async call() {
+            if (++calls < 3) throw new Error('flaky failure')
+            return 'ok'
+          }
+        },
+        broken: {
+          async call() { throw new Error('always broken') }
+        }
+      },
+      queries: {
+        flaky: ['flaky:call', {retry: 2}],
+        broken: ['broken:call', {ignoreErrors: true}]
+      }
+    })
+
+    const flaky = result._trace.calls.find(c => c.queryName === 'flaky')
+    const broken = result._trace.calls.find(c => c.queryName === 'broken')
+    assert.strictEqual(flaky.attempts, 3)
+    assert.strictEqual(flaky.error, undefined)
+    assert.strictEqual(broken.error, 'always broken')
+    assert.strictEqual(result.broken, null)
+  })
+
+  it('should record cache hits and rate limit waits', async () => {
+    const CACHEDIR = '.cache-test-trace'
+    await fs.remove(CACHEDIR)
+
+    try {
+      const result = await query({
+        settings: {trace: true, cache: {configDir: CACHEDIR}, rateLimit: {delay: 40}},
+        services: {delay},
+        queries: {
+          first: ['delay:wait', {value: 'same', cache: true}],
+          second: ['delay:wait', {value: '$.first', cache: true}],
+          limited: ['delay:wait', {value: 'other'}]
+        }
+      })
+
+      const byQuery = Object.fromEntries(result._trace.calls.map(c => [c.queryName, c]))
+      assert.strictEqual(byQuery.first.cacheHit, false)
+      assert.strictEqual(byQuery.second.cacheHit, true)
+      // first and limited share the rate limit, so one of them had to wait for the other
+      const waited = Math.max(byQuery.first.rateLimitWait, byQuery.limited.rateLimitWait)
+      assert(waited >= 30, `waited ${waited}ms`)
+    } finally {
+      await fs.remove(CACHEDIR)
+    }
+  })
+
+  it('should keep the trace when selecting results', async () => {
+    const result = await query({
+      settings: {trace: true},
+      services: {delay},
+      queries: {
+        a: ['delay:wait', {value: 'a'}],
+        b: ['delay:wait', {value: 'b'}]
+      },
+      select: ['a']
+    })
+
+    assert.deepStrictEqual(Object.keys(result), ['a', '_trace'])
+  })
+})
@@ -0,0 +1,91 @@
+import assert from 'node:assert'
+import {describe, it} from 'node:test'
+import query from '../query.js'
+import util from '../services/util.js'
+import {InMemoryTracer, SPAN_STATUS_ERROR} from '../tracing.js'
+import {math} from './test-services.js'
+
+describe('Span Tracing Tests', () => {
+  it('should create a span per query with service call children', async () => {
+    const tracer = new InMemoryTracer()
+
+    await query({
+      settings: {tracer},
+      given: {value: 1},
+      services: {math},
+      queries: {
+        plusOne: ['$.given.value', 'math:add1'],
+        timesTen: ['$.plusOne', 'math:times10']
+      }
+    })
+
+    const roots = tracer.children(undefined)
+    assert.deepStrictEqual(roots.map(s => s.name), ['query plusOne', 'query timesTen'])
+
+    const [call] = tracer.children(roots[0])
+    assert.strictEqual(call.name, 'math:add1')
+    assert.deepStrictEqual(call.attributes, {
+      'microql.query': 'plusOne',
+      'microql.service': 'math',
+      'microql.action': 'add1',
+      'microql.cache_hit': false,
+      'microql.retry_count': 0
+    })
+    assert(call.endTime >= call.startTime)
+    assert(tracer.spans.every(s => s.endTime !== undefined))
+  })
+
+  it('should nest chain steps and util:map iterations', async () => {
+    const tracer = new InMemoryTracer()
+
+    await query({
+      settings: {tracer},
+      given: {items: [1, 2, 3]},
+      services: {util, math},
+      queries: {
+        chain: [
+          ['$.given.items', 'util:map', {service: ['@', 'math:add1']}],
+          ['@', 'math:sum']
+        ]
+      }
+    })
+
+    const [querySpan] = tracer.children(undefined)
+    const steps = tracer.children(querySpan)
+    assert.deepStrictEqual(steps.map(s => [s.name, s.attributes['microql.step']]), [['util:map', 0], ['math:sum', 1]])
+
+    const iterations = tracer.children(steps[0])
+    assert.deepStrictEqual(iterations.map(s => s.name), ['math:add1', 'math:add1', 'math:add1'])
+  })
+
+  it('should record retry counts and errors on spans', async () => {
+    const tracer = new InMemoryTracer()
+    let calls = 0
+
+    await assert.rejects(
+      query({
+        settings: {tracer},
+        services: {
+          flaky: {
+            async call() {
+              calls++
+              throw new Error('still failing')
+            }
+          }
+        },
+        queries: {
+          result: ['flaky:call', {retry: 2}]
+        }
+      }),
+      /still failing/
+    )
+
+    const [querySpan] = tracer.children(undefined)
+    const [call] = tracer.children(querySpan)
+    assert.strictEqual(calls, 3)
+    assert.strictEqual(call.attributes['microql.retry_count'], 2)
+    assert.strictEqual(call.status.code, SPAN_STATUS_ERROR)
+    assert.match(call.exceptions[0].message, /still failing/)
+    assert.strictEqual(querySpan.status.code, SPAN_STATUS_ERROR)
+  })
+})
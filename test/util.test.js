@@ -1165,4 +1165,381 @@ describe('Util Service Tests', () => {
       assert.deepStrictEqual(result.failures, [null, null])
     })
   })
+
+  describe('Map Concurrency and Batching Tests', () => {
+    // tracks the maximum number of calls in flight at once
+    const createTracker = () => {
+      const tracker = {inFlight: 0, maxInFlight: 0, batches: []}
+      tracker.service = {
+        async double({on}) {
+          tracker.inFlight++
+          tracker.maxInFlight = Math.max(tracker.maxInFlight, tracker.inFlight)
+          // finish out of order, to check that output order is preserved
+          await new Promise((resolve) => setTimeout(resolve, 20 - (Array.isArray(on) ? on[0] : on)))
+          tracker.inFlight--
+          return on * 2
+        },
+        async doubleBatch({on}) {
+          tracker.batches.push(on)
+          return on.map(x => x * 2)
+        },
+        async isEven({on}) {
+          return on.map(x => x % 2 === 0)
+        },
+        async firstOnly({on}) {
+          return [on[0] % 2 === 0]
+        },
+        async failOnTwo({on}) {
+          tracker.calls = (tracker.calls || 0) + 1
+          await new Promise((resolve) => setTimeout(resolve, 1))
+          if (on === 2) throw new Error('Failed on 2')
+          return on
+        }
+      }
+      tracker.service.double._argtypes = {on: {argOrder: 0}}
+      tracker.service.doubleBatch._argtypes = {on: {argOrder: 0}}
+      tracker.service.isEven._argtypes = {on: {argOrder: 0}}
+      tracker.service.firstOnly._argtypes = {on: {argOrder: 0}}
+      tracker.service.failOnTwo._argtypes = {on: {argOrder: 0}}
+      return tracker
+    }
+
+    const items = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+
+    it('should bound in-flight calls with concurrency', async () => {
+      const tracker = createTracker()
+
+      const result = await query({
+        given: {items},
+        services: {util, tracker: tracker.service},
+        queries: {
+          doubled: ['$.given.items', 'util:map', {service: ['@', 'tracker:double'], concurrency: 3}]
+        },
+        select: 'doubled'
+      })
+
+      assert.deepStrictEqual(result, items.map(x => x * 2))
+      assert.strictEqual(tracker.maxInFlight, 3)
+    })
+
+    it('should use settings.concurrency as the default', async () => {
+      const tracker = createTracker()
+
+      const result = await query({
+        given: {items},
+        settings: {concurrency: 2},
+        services: {util, tracker: tracker.service},
+        queries: {
+          doubled: ['$.given.items', 'util:flatMap', {service: ['@', 'tracker:double']}]
+        },
+        select: 'doubled'
+      })
+
+      assert.deepStrictEqual(result, items.map(x => x * 2))
+      assert.strictEqual(tracker.maxInFlight, 2)
+    })
+
+    it('should be unbounded without a concurrency setting', async () => {
+      const tracker = createTracker()
+
+      await query({
+        given: {items},
+        services: {util, tracker: tracker.service},
+        queries: {
+          doubled: ['$.given.items', 'util:map', {service: ['@', 'tracker:double']}]
+        }
+      })
+
+      assert.strictEqual(tracker.maxInFlight, items.length)
+    })
+
+    it('should hand chunks of batchSize items to the service', async () => {
+      const tracker = createTracker()
+
+      const result = await query({
+        given: {items},
+        services: {util, tracker: tracker.service},
+        queries: {
+          doubled: ['$.given.items', 'util:map', {service: ['@', 'tracker:doubleBatch'], batchSize: 4}]
+        },
+        select: 'doubled'
+      })
+
+      assert.deepStrictEqual(result, items.map(x => x * 2))
+      assert.deepStrictEqual(tracker.batches, [[1, 2, 3, 4], [5, 6, 7, 8], [9, 10]])
+    })
+
+    it('should filter with batches', async () => {
+      const tracker = createTracker()
+
+      const result = await query({
+        given: {items},
+        services: {util, tracker: tracker.service},
+        queries: {
+          evens: ['$.given.items', 'util:filter', {service: ['@', 'tracker:isEven'], batchSize: 3, concurrency: 1}]
+        },
+        select: 'evens'
+      })
+
+      assert.deepStrictEqual(result, [2, 4, 6, 8, 10])
+    })
+
+    it('should reject batch services which do not return arrays', async () => {
+      const tracker = createTracker()
+
+      await assert.rejects(
+        query({
+          given: {items},
+          services: {util, tracker: tracker.service},
+          queries: {
+            // double returns a number for the whole batch
+            doubled: ['$.given.items', 'util:map', {service: ['@', 'tracker:double'], batchSize: 5}]
+          }
+        }),
+        /Expected the service to return an array for each batch, got: number/
+      )
+    })
+
+    it('should reject batch services which return the wrong number of results', async () => {
+      const tracker = createTracker()
+
+      await assert.rejects(
+        query({
+          given: {items: [1, 2, 3, 4]},
+          services: {util, tracker: tracker.service},
+          queries: {
+            evens: ['$.given.items', 'util:filter', {service: ['@', 'tracker:firstOnly'], batchSize: 2}]
+          }
+        }),
+        /Expected the service to return 2 results for batch 0, got: 1/
+      )
+    })
+
+    it('should stop starting items after the first failure', async () => {
+      const tracker = createTracker()
+
+      await assert.rejects(
+        query({
+          given: {items: Array.from({length: 100}, (_, i) => i + 1)},
+          services: {util, tracker: tracker.service},
+          queries: {
+            results: ['$.given.items', 'util:map', {service: ['@', 'tracker:failOnTwo'], concurrency: 2}]
+          }
+        }),
+        /Failed on 2/
+      )
+
+      // the other worker may have started one more item while item 2 failed
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      assert.ok(tracker.calls <= 3, `Expected at most 3 calls, got ${tracker.calls}`)
+    })
+
+    it('should stop starting items once the map is aborted', async () => {
+      const tracker = createTracker()
+      const controller = new AbortController()
+      const services = {
+        util,
+        slow: {
+          async count({on}) {
+            tracker.calls = (tracker.calls || 0) + 1
+            if (on === 2) controller.abort(new Error('Stopped'))
+            return on
+          }
+        }
+      }
+      services.slow.count._argtypes = {on: {argOrder: 0}}
+
+      await assert.rejects(
+        query({
+          given: {items: Array.from({length: 100}, (_, i) => i + 1)},
+          services,
+          queries: {
+            results: ['$.given.items', 'util:map', {service: ['@', 'slow:count'], concurrency: 1}]
+          },
+          signal: controller.signal
+        }),
+        /Stopped/
+      )
+
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      assert.strictEqual(tracker.calls, 2)
+    })
+  })
+
+  describe('Map Checkpoint Tests', () => {
+    const checkpointPath = './test-map-checkpoint.jsonl'
+
+    afterEach(async () => {
+      const fs = await import('fs-extra')
+      await fs.default.remove(checkpointPath)
+    })
+
+    // enriches items, failing on `failOn` until it is cleared
+    const createEnricher = (failOn) => {
+      const enricher = {
+        calls: [],
+        failOn,
+        async enrich({on}) {
+          enricher.calls.push(on.id)
+          if (on.id === enricher.failOn) throw new Error(`enrich failed on ${on.id}`)
+          return {...on, enriched: true}
+        },
+        async enrichBatch({on}) {
+          enricher.calls.push(on.map(item => item.id))
+          if (on.some(item => item.id === enricher.failOn)) throw new Error('batch failed')
+          return on.map(item => ({...item, enriched: true}))
+        }
+      }
+      enricher.enrich._argtypes = {on: {argOrder: 0}}
+      enricher.enrichBatch._argtypes = {on: {argOrder: 0}}
+      return enricher
+    }
+
+    const items = [{id: 'a'}, {id: 'b'}, {id: 'c'}, {id: 'd'}]
+
+    const runMap = (enricher, checkpoint, {given = {items}, ...mapArgs} = {}) => query({
+      given,
+      services: {enricher},
+      queries: {
+        result: ['$.given.items', 'util:map', {service: ['enricher:enrich', {on: '@'}], checkpoint, concurrency: 1, ...mapArgs}]
+      },
+      select: 'result'
+    })
+
+    it('should skip items completed before a failure', async () => {
+      const enricher = createEnricher('c')
+      await assert.rejects(runMap(enricher, checkpointPath), /enrich failed on c/)
+      assert.deepStrictEqual(enricher.calls, ['a', 'b', 'c'])
+
+      enricher.failOn = undefined
+      enricher.calls = []
+      const result = await runMap(enricher, checkpointPath)
+      assert.deepStrictEqual(enricher.calls, ['c', 'd'])
+      assert.deepStrictEqual(result, items.map(item => ({...item, enriched: true})))
+
+      // the checkpoint is removed once the map completes
+      const fs = await import('fs-extra')
+      assert(!(await fs.default.pathExists(checkpointPath)))
+    })
+
+    it('should key items by idPath so reordered input is still skipped', async () => {
+      const enricher = createEnricher('c')
+      const checkpoint = {path: checkpointPath, idPath: 'id'}
+      await assert.rejects(runMap(enricher, checkpoint), /enrich failed on c/)
+
+      enricher.failOn = undefined
+      enricher.calls = []
+      const reordered = [{id: 'd'}, {id: 'b'}, {id: 'c'}, {id: 'a'}]
+      const result = await runMap(enricher, checkpoint, {given: {items: reordered}})
+      assert.deepStrictEqual(enricher.calls, ['d', 'c'])
+      assert.deepStrictEqual(result.map(item => item.id), ['d', 'b', 'c', 'a'])
+    })
+
+    it('should checkpoint batches', async () => {
+      const enricher = createEnricher('c')
+      const mapArgs = {service: ['enricher:enrichBatch', {on: '@'}], batchSize: 2}
+      await assert.rejects(runMap(enricher, checkpointPath, mapArgs), /batch failed/)
+
+      enricher.failOn = undefined
+      enricher.calls = []
+      const result = await runMap(enricher, checkpointPath, mapArgs)
+      assert.deepStrictEqual(enricher.calls, [['c', 'd']])
+      assert.strictEqual(result.length, 4)
+    })
+
+    it('should keep the checkpoint when asked, and ignore a partially written line', async () => {
+      const fs = await import('fs-extra')
+      const enricher = createEnricher('b')
+      await assert.rejects(runMap(enricher, {path: checkpointPath, keep: true}), /enrich failed on b/)
+      await fs.default.appendFile(checkpointPath, '{"id":1,"res')
+
+      enricher.failOn = undefined
+      enricher.calls = []
+      const result = await runMap(enricher, {path: checkpointPath, keep: true})
+      assert.deepStrictEqual(result[0], {id: 'a', enriched: true})
+      assert.deepStrictEqual(enricher.calls, ['b', 'c', 'd'])
+      assert(await fs.default.pathExists(checkpointPath))
+    })
+
+    it('should run items again when they change', async () => {
+      const enricher = createEnricher()
+      const checkpoint = {path: checkpointPath, keep: true}
+      await runMap(enricher, checkpoint, {given: {items: [{id: 'a'}, {id: 'b'}]}})
+
+      enricher.calls = []
+      const result = await runMap(enricher, checkpoint, {given: {items: [{id: 'x'}, {id: 'b'}, {id: 'z'}]}})
+      assert.deepStrictEqual(enricher.calls, ['x', 'z'])
+      assert.deepStrictEqual(result.map(item => item.id), ['x', 'b', 'z'])
+    })
+
+    it('should ignore a checkpoint written for another service', async () => {
+      const enricher = createEnricher()
+      const checkpoint = {path: checkpointPath, keep: true}
+      await runMap(enricher, checkpoint)
+
+      enricher.calls = []
+      const mapArgs = {service: ['enricher:enrich', {on: '@', timeout: 1000}]}
+      await runMap(enricher, checkpoint, mapArgs)
+      assert.deepStrictEqual(enricher.calls, ['a', 'b', 'c', 'd'])
+
+      // the file now belongs to the new service
+      enricher.calls = []
+      await runMap(enricher, checkpoint, mapArgs)
+      assert.deepStrictEqual(enricher.calls, [])
+    })
+
+    it('should resume with a custom codec', async () => {
+      const fs = await import('fs-extra')
+      const codec = {
+        stringify: (value) => JSON.stringify(value),
+        parse: (text) => JSON.parse(text)
+      }
+      const runWithCodec = (enricher) => query({
+        given: {items},
+        services: {enricher},
+        settings: {codec},
+        queries: {
+          result: ['$.given.items', 'util:map', {service: ['enricher:enrich', {on: '@'}], checkpoint: checkpointPath, concurrency: 1}]
+        },
+        select: 'result'
+      })
+
+      const enricher = createEnricher('c')
+      await assert.rejects(runWithCodec(enricher), /enrich failed on c/)
+      const lines = (await fs.default.readFile(checkpointPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line))
+      assert.deepStrictEqual(lines.map(line => Object.keys(line)), [['service'], ['id', 'item', 'result'], ['id', 'item', 'result']])
+
+      enricher.failOn = undefined
+      enricher.calls = []
+      await runWithCodec(enricher)
+      assert.deepStrictEqual(enricher.calls, ['c', 'd'])
+    })
+
+    it('should reject items with missing or duplicate ids', async () => {
+      const enricher = createEnricher()
+      const checkpoint = {path: checkpointPath, idPath: 'id'}
+
+      await assert.rejects(
+        runMap(enricher, checkpoint, {given: {items: [{id: 'a'}, {name: 'b'}]}}),
+        /Item 1 has no id at 'id'/
+      )
+      await assert.rejects(
+        runMap(enricher, checkpoint, {given: {items: [{id: 'a'}, {id: 'b'}, {id: 'a'}]}}),
+        /Items 0 and 2 have the same id at 'id': "a"/
+      )
+      assert.deepStrictEqual(enricher.calls, [])
+    })
+
+    it('should retry items which failed with ignoreErrors', async () => {
+      const enricher = createEnricher('b')
+      const mapArgs = {service: ['enricher:enrich', {on: '@', ignoreErrors: true}]}
+      const first = await runMap(enricher, {path: checkpointPath, keep: true}, mapArgs)
+      assert.strictEqual(first[1], null)
+
+      enricher.failOn = undefined
+      enricher.calls = []
+      await runMap(enricher, checkpointPath, mapArgs)
+      assert.deepStrictEqual(enricher.calls, ['b'])
+    })
+  })
 })
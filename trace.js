@@ -0,0 +1,59 @@
+/**
+ * @fileoverview MicroQL Execution Trace
+ *
+ * Collects a structured record of every service call made during a run,
+ * enabled with `settings.trace: true` and returned as `results._trace`.
+ */
+
+export default class Trace {
+  constructor({cache, snapshot} = {}) {
+    this.startTime = Date.now()
+    this.calls = []
+
+    // which queries were restored from a snapshot, and which were re-run
+    this.snapshot = snapshot
+
+    // cache stats are counted for the lifetime of the cache, so keep the starting counts
+    this.cache = cache
+    this.cacheStart = cache && {...cache.stats}
+  }
+
+  // Times are recorded in ms relative to the start of the run
+  now() {
+    return Date.now() - this.startTime
+  }
+
+  startCall({queryName, serviceName, action, stepIndex}) {
+    const call = {queryName, serviceName, action, stepIndex, start: this.now()}
+    this.calls.push(call)
+    return call
+  }
+
+  endCall(call, stats, error) {
+    call.end = this.now()
+    call.duration = call.end - call.start
+    call.attempts = stats.attempts
+    call.cacheHit = stats.cacheHit
+    call.rateLimitWait = stats.rateLimitWait
+    if (error) call.error = error.message
+  }
+
+  report() {
+    const duration = this.now()
+    const report = {duration, calls: this.calls}
+    if (this.snapshot) report.snapshot = this.snapshot
+    if (this.cache) {
+      const {hits, misses, evictions, diskReads, entries, bytes} = this.cache.stats
+      const start = this.cacheStart
+      report.cache = {
+        hits: hits - start.hits,
+        misses: misses - start.misses,
+        evictions: evictions - start.evictions,
+        diskReads: diskReads - start.diskReads,
+        entries,
+        bytes
+      }
+    }
+    return report
+  }
+}
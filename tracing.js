@@ -0,0 +1,82 @@
+/**
+ * @fileoverview MicroQL Span Tracing
+ *
+ * Creates one span per query and per service call using a pluggable tracer
+ * (`settings.tracer`).  The tracer interface is a subset of OpenTelemetry's:
+ *
+ *   tracer.startSpan(name, {parent, attributes}) => span
+ *   span.setAttribute(key, value)
+ *   span.recordException(error)
+ *   span.setStatus({code, message})
+ *   span.end()
+ *
+ * OpenTelemetry spans already implement the span methods, so an adapter only
+ * needs to translate `parent` into an OpenTelemetry context.
+ */
+
+// matches OpenTelemetry's SpanStatusCode.ERROR
+export const SPAN_STATUS_ERROR = 2
+
+/**
+ * Run fn(span) inside a new span, recording any error and ending the span
+ */
+export async function inSpan(tracer, name, {parent, attributes}, fn) {
+  const span = tracer.startSpan(name, {parent, attributes})
+  try {
+    return await fn(span)
+  } catch (error) {
+    span.recordException(error)
+    span.setStatus({code: SPAN_STATUS_ERROR, message: error.message})
+    throw error
+  } finally {
+    span.end()
+  }
+}
+
+class InMemorySpan {
+  constructor(name, {parent, attributes = {}}) {
+    this.name = name
+    this.parent = parent
+    this.attributes = {...attributes}
+    this.exceptions = []
+    this.status = undefined
+    this.startTime = Date.now()
+    this.endTime = undefined
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value
+  }
+
+  recordException(error) {
+    this.exceptions.push(error)
+  }
+
+  setStatus(status) {
+    this.status = status
+  }
+
+  end() {
+    this.endTime = Date.now()
+  }
+}
+
+/**
+ * Tracer which keeps finished spans in memory, for tests and local debugging
+ */
+export class InMemoryTracer {
+  constructor() {
+    this.spans = []
+  }
+
+  startSpan(name, options = {}) {
+    const span = new InMemorySpan(name, options)
+    this.spans.push(span)
+    return span
+  }
+
+  // Direct children of a span (or root spans when no parent is given)
+  children(parent) {
+    return this.spans.filter(span => span.parent === parent)
+  }
+}
@@ -5,6 +5,14 @@ import {inspect} from 'util'
 
 import utilService from './services/util.js'
 import {validate} from './validation.js'
+import {inSpan} from './tracing.js'
+
+// A compiled service is a function, or a chain of them
+const isCompiledService = (value) => typeof value === 'function' || (
+  Array.isArray(value) &&
+  value.length > 0 &&
+  _.every(value, v => typeof v === 'function')
+)
 
 const withArgs = (fn) => {
   return async function (args = {}) {
@@ -19,39 +27,47 @@ const withArgs = (fn) => {
       }
 
       // Set up a service prepared to receive context from the calling service
+      // nested calls share this call's signal, so they stop when it is aborted
       if (typeof value === 'function') {
-        return (ctx) => {
-          return value(queryResults, contextStack.extend(ctx))
+        const service = (ctx) => {
+          return value(queryResults, contextStack.extend(ctx), {...this.runtime, signal: this.signal})
         }
+        return Object.assign(service, {descriptor: value.descriptor})
       }
 
       // is it a chain?
-      if (
-        Array.isArray(value) &&
-        value.length > 0 &&
-        _.every(value, v => typeof v === 'function')
-      ) {
-        return async (ctx) => {
+      if (isCompiledService(value)) {
+        const chain = async (ctx) => {
           // we need to push two layers of stack for the `fn` and the `chain`
           // @ will refer to chain, @@ will refer to fn
           const chainStack = contextStack.extend(ctx).extend(null)
           for (const fn of value) {
-            chainStack.setCurrent(await fn(queryResults, chainStack))
+            chainStack.setCurrent(await fn(queryResults, chainStack, {...this.runtime, signal: this.signal}))
           }
           return chainStack.getCurrent()
         }
+        return Object.assign(chain, {descriptor: value.map(fn => fn.descriptor)})
       }
 
       // Let cloneDeepWith handle objects and arrays recursively
       return undefined
     }
 
-    const resolvedArgs = _.cloneDeepWith(args, resolveArg)
+    // settings args hold compiled settings, whose functions (onError, retryOn...) are left as they are
+    const resolvedArgs = _.mapValues(args, (value, key) => this.settingsArgs.includes(key) ?
+      _.cloneDeepWith(value, v => typeof v === 'function' ? v : resolveArg(v)) :
+      _.cloneDeepWith(value, resolveArg))
+
+    // Resolve onError for this call only, so it sees this call's context
+    // (settings are shared by every call, including calls from other runs)
+    if (this.settings.onError) {
+      this.onError = resolveArg(this.settings.onError)
+    }
 
-    // Only wrap onError once to preserve correct contextStack closure
-    if (this.settings.onError && !this.settings.onError._alreadyWrapped) {
-      this.settings.onError = resolveArg(this.settings.onError)
-      this.settings.onError._alreadyWrapped = true
+    // retryOn may be a compiled service, otherwise it is a list of error codes
+    const retryOn = this.settings.retry?.retryOn
+    if (isCompiledService(retryOn)) {
+      this.retryOn = resolveArg(retryOn)
     }
 
     return await fn.call(this, resolvedArgs)
@@ -82,35 +98,160 @@ const withDebug = (fn) => {
   }
 }
 
+const withTrace = (fn) => {
+  return async function (args) {
+    const {trace} = this.runtime
+    if (!trace) return fn.call(this, args)
+
+    const {queryName, serviceName, action, stepIndex, stats} = this
+    const call = trace.startCall({queryName, serviceName, action, stepIndex})
+
+    try {
+      const result = await fn.call(this, args)
+      trace.endCall(call, stats)
+      return result
+    } catch (error) {
+      trace.endCall(call, stats, error)
+      throw error
+    }
+  }
+}
+
+const withSpan = (fn) => {
+  return async function (args) {
+    const {tracer, span: parent} = this.runtime
+    if (!tracer) return fn.call(this, args)
+
+    const {queryName, serviceName, action, stepIndex, stats} = this
+    const attributes = {
+      'microql.query': queryName,
+      'microql.service': serviceName,
+      'microql.action': action
+    }
+    if (stepIndex !== undefined) attributes['microql.step'] = stepIndex
+
+    return inSpan(tracer, `${serviceName}:${action}`, {parent, attributes}, async (span) => {
+      // nested services (e.g. util:map iterations) become children of this span
+      this.runtime = {...this.runtime, span}
+      try {
+        return await fn.call(this, args)
+      } finally {
+        span.setAttribute('microql.cache_hit', stats.cacheHit)
+        span.setAttribute('microql.retry_count', stats.attempts - 1)
+      }
+    })
+  }
+}
+
 const withCache = (fn) => async function (args) {
-  const {serviceName, action, cache} = this
+  const {serviceName, action, cache, settings, stats} = this
+  let computed = false
 
   // getOrCompute internally eliminates race conditions between cache, memory, disk,
   // and concurrent calls
-  return await cache.getOrCompute(serviceName, action, args, fn.bind(this, args))
+  const result = await cache.getOrCompute(serviceName, action, args, () => {
+    computed = true
+    return fn.call(this, args)
+  }, settings.cache)
+  stats.cacheHit = !computed
+  return result
+}
+
+const withCircuitBreaker = (fn) => async function (args) {
+  return this.circuitBreaker.call(() => fn.call(this, args), this.runtime.signal)
 }
 
 const withRateLimit = (fn) => async function (args) {
-  return this.rateLimit.push(fn.bind(this, args))
+  const queuedAt = Date.now()
+
+  const call = () => {
+    this.stats.rateLimitWait = Date.now() - queuedAt
+
+    // don't start calls which were aborted while waiting in the queue
+    this.signal?.throwIfAborted()
+    return fn.call(this, args)
+  }
+
+  // wait for the action's rate limit first, then the service's
+  return this.rateLimits.reduceRight((next, queue) => () => queue.push(next, this.signal), call)()
+}
+
+// Normalize `retry: 3` and `retry: {count: 3, ...}` into retry options
+const retryOptions = (retry) => {
+  const options = typeof retry === 'number' ? {count: retry} : {...retry}
+  return _.defaults(options, {count: 0, backoff: 'none', baseDelay: 100, maxDelay: 30000, jitter: false})
+}
+
+// Delay before the given retry attempt (1 for the first retry)
+const retryDelay = ({backoff, baseDelay, maxDelay, jitter}, attempt) => {
+  if (backoff === 'none') return 0
+  const delay = backoff === 'exponential' ?
+    Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)) :
+    Math.min(maxDelay, baseDelay)
+  return jitter ? Math.random() * delay : delay
+}
+
+// Check an error's code or HTTP status against a list like [429, '5xx', 'ECONNRESET']
+const matchesErrorCode = (codes, error) => {
+  const errorCodes = [error.code, error.status, error.statusCode]
+    .filter(code => code !== undefined)
+    .map(String)
+  return codes.some(code => {
+    const pattern = String(code)
+    return errorCodes.some(errorCode => /^\dxx$/.test(pattern) ?
+      errorCode.length === 3 && errorCode[0] === pattern[0] :
+      errorCode === pattern)
+  })
 }
 
+// Sleep which ends early if the signal is aborted
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const done = () => {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', done)
+    resolve()
+  }
+  const timer = setTimeout(done, ms)
+  signal?.addEventListener('abort', done, {once: true})
+})
+
 const withRetry = (fn) => {
   return async function (args) {
-    const {queryName, serviceName, action} = this
-    const retry = this.settings.retry || 0
+    const {queryName, serviceName, action, settings} = this
+    const options = retryOptions(settings.retry)
+    const {count} = options
+
+    // retryOn is either a service (resolved in withArgs) or a list of error codes
+    const shouldRetry = async (error) => {
+      if (!options.retryOn) return true
+      if (this.retryOn) return Boolean(await this.retryOn(error))
+      return matchesErrorCode(options.retryOn, error)
+    }
 
     let lastError
 
-    for (let attempt = 1; attempt <= retry + 1; attempt++) {
+    for (let attempt = 1; attempt <= count + 1; attempt++) {
+      this.stats.attempts = attempt
       try {
         return await fn.call(this, args)
       } catch (error) {
         lastError = error
 
-        if (attempt <= retry) {
-          console.error(
-            `[${queryName} - ${serviceName}:${action}] Failed (attempt ${attempt}/${retry + 1}), retrying...`
-          )
+        // stop retrying once the caller has aborted (timeouts are still retried)
+        if (this.runtime.signal?.aborted) break
+
+        if (attempt <= count) {
+          if (!(await shouldRetry(error))) break
+
+          const delay = retryDelay(options, attempt)
+          if (settings.debug) {
+            utilService.print({
+              on: `[${queryName} - ${serviceName}:${action}] Failed (attempt ${attempt}/${count + 1}), retrying in ${Math.round(delay)}ms...`,
+              settings,
+              color: getServiceColorName(serviceName)
+            })
+          }
+          await sleep(delay, this.runtime.signal)
         }
       }
     }
@@ -124,9 +265,16 @@ const withTimeout = (fn) => {
     const {timeout} = this.settings
     let timeoutId
 
+    // abort the service call when it times out, as well as when the caller aborts
+    const controller = new AbortController()
+    const parentSignal = this.runtime.signal
+    this.signal = parentSignal ? AbortSignal.any([parentSignal, controller.signal]) : controller.signal
+
     const timeoutPromise = new Promise((_, reject) => {
       timeoutId = setTimeout(() => {
-        reject(new Error(`Timed out after ${timeout}ms`))
+        const error = new Error(`Timed out after ${timeout}ms`)
+        controller.abort(error)
+        reject(error)
       }, timeout)
     })
 
@@ -146,6 +294,7 @@ const withErrorHandling = (fn) => {
     try {
       return await fn.call(this, args)
     } catch (error) {
+      const {onError} = this
       // Only set error context properties if they haven't been set yet
       // This preserves the innermost (original) error context
       if (!error.wrapped) {
@@ -159,9 +308,9 @@ const withErrorHandling = (fn) => {
       }
 
       // Handle with onError if provided
-      if (settings.onError) {
+      if (onError) {
         try {
-          const result = settings.onError(error)
+          const result = onError(error)
           if (settings.ignoreErrors) return result
 
         } catch (handlerError) {
@@ -215,14 +364,37 @@ const withValidation = (fn) => {
   }
 }
 
+// hand values from the call context to args declared with their argtype:
+// {type: 'signal'} receives the call's AbortSignal, {type: 'cache'} the query's Cache,
+// {type: 'codec'} settings.codec, for files written by services,
+// and {type: 'queryVersions'} the version of each query, for snapshots
+const RUNTIME_ARGTYPES = {
+  signal: (context) => context.signal,
+  cache: (context) => context.cache,
+  codec: (context) => context.runtime.codec,
+  queryVersions: (context) => context.runtime.queryVersions?.()
+}
+
+const withRuntimeArgs = (serviceCall, argtypes = {}) => {
+  const runtimeArgs = Object.keys(argtypes).filter(key => RUNTIME_ARGTYPES[argtypes[key]?.type])
+  if (runtimeArgs.length === 0) return serviceCall
+
+  return function (args) {
+    const injected = Object.fromEntries(runtimeArgs.map(key => [key, RUNTIME_ARGTYPES[argtypes[key].type](this)]))
+    return serviceCall({...args, ...injected})
+  }
+}
+
 const applyWrappers = (def, config) => {
-  const {queryName, serviceName, action, args, settings, validators, rateLimit, noTimeout} = def
+  const {queryName, serviceName, action, args, settings, validators, rateLimits, circuitBreaker, noTimeout} = def
   const {cache} = config
 
   const service = config.services[serviceName]
+  const argtypes = service[action]._argtypes || {}
+  const settingsArgs = Object.keys(argtypes).filter(key => argtypes[key]?.type === 'settings')
 
   // `this` context is preserved so service can call other sibling services
-  const serviceCall = service[action].bind(service)
+  const serviceCall = withRuntimeArgs(service[action].bind(service), argtypes)
 
   // Build wrapper array in canonical order
   // We use reduceRight on these wrappers, so they get applied last-first,
@@ -238,6 +410,14 @@ const applyWrappers = (def, config) => {
 
   wrappers.push(withErrorHandling)
 
+  // record the call (after error handling, so it sees the service's own errors)
+  if (config.settings.tracer) {
+    wrappers.push(withSpan)
+  }
+  if (config.settings.trace) {
+    wrappers.push(withTrace)
+  }
+
   if (settings.cache) {
     wrappers.push(withCache)
   }
@@ -245,10 +425,14 @@ const applyWrappers = (def, config) => {
   if (validators) {
     wrappers.push(withValidation)
   }
-  if (rateLimit) {
+  // fail fast before waiting in the rate limit queue
+  if (circuitBreaker) {
+    wrappers.push(withCircuitBreaker)
+  }
+  if (rateLimits.length > 0) {
     wrappers.push(withRateLimit)
   }
-  if (settings.retry > 0) {
+  if (retryOptions(settings.retry).count > 0) {
     wrappers.push(withRetry)
   }
   // Apply timeout wrapper unless _noTimeout is set AND no explicit timeout is provided
@@ -257,13 +441,20 @@ const applyWrappers = (def, config) => {
   }
   //console.log('wrappers:', wrappers.map(f => f.name))
 
+  // record which wrappers apply, for query.explain
+  def.wrappers = wrappers.map(wrapper => wrapper.name)
+
   // Apply all wrappers using functional composition
   const wrapped = wrappers.reduceRight((fn, wrapper) => wrapper(fn), serviceCall)
 
   // give all wrappers access to the full calling context so they don't have to fish for it
-  // allow the contextStack to be passed at execution time
-  return (queryResults, contextStack) =>
-    wrapped.call({queryName, serviceName, action, settings, validators, queryResults, contextStack, rateLimit, cache}, args)
+  // allow the contextStack and per-run state (e.g. the abort signal) to be passed at execution time
+  // stepIndex is read at call time because it is assigned after the chain step is compiled
+  return (queryResults, contextStack, runtime = {}) => {
+    const stats = {attempts: 1, cacheHit: false, rateLimitWait: 0}
+    return wrapped.call({queryName, serviceName, action, stepIndex: def.stepIndex, settings, settingsArgs, validators, queryResults, contextStack, rateLimits, circuitBreaker, cache, runtime, signal: runtime.signal, stats}, args)
+  }
 }
 
+export {retryOptions}
 export default applyWrappers